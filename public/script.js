@@ -34,7 +34,15 @@
         eventSource: null,
         toastQueue: [],
         maxToasts: 3,
-        currentPlatform: 'default'
+        currentPlatform: 'default',
+        queuePollTimer: null,
+        draggedQueueId: null,
+        settings: null,
+        countdownTimer: null,
+        historyPage: 1,
+        historySearchTimer: null,
+        importRows: [],
+        subscriptionPollTimer: null
     };
 
     // ========== DOM Elements ==========
@@ -44,11 +52,30 @@
     const elements = {
         urlInput: $('#urlInput'),
         pasteBtn: $('#pasteBtn'),
+        bulkImportBtn: $('#bulkImportBtn'),
+        closeImportModalBtn: $('#closeImportModal'),
+        importExtractBtn: $('#importExtractBtn'),
+        importClearBtn: $('#importClearBtn'),
+        importSubmitBtn: $('#importSubmitBtn'),
         fetchBtn: $('#fetchBtn'),
         downloadBtn: $('#downloadBtn'),
         cancelBtn: $('#cancelBtn'),
+        resumeBtn: $('#resumeBtn'),
+        pauseBtn: $('#pauseBtn'),
         newDownloadBtn: $('#newDownloadBtn'),
         showFilesBtn: $('#showFiles'),
+        showQueueBtn: $('#showQueue'),
+        showSubscriptionsBtn: $('#showSubscriptions'),
+        closeSubscriptionsModalBtn: $('#closeSubscriptionsModal'),
+        showHistoryBtn: $('#showHistory'),
+        closeHistoryModalBtn: $('#closeHistoryModal'),
+        historyPrevBtn: $('#historyPrev'),
+        historyNextBtn: $('#historyNext'),
+        showSettingsBtn: $('#showSettings'),
+        closeSettingsModalBtn: $('#closeSettingsModal'),
+        saveSettingsBtn: $('#saveSettingsBtn'),
+        resetSettingsBtn: $('#resetSettingsBtn'),
+        closeQueueModalBtn: $('#closeQueueModal'),
         refreshFilesBtn: $('#refreshFiles'),
         closeModalBtn: $('#closeModal'),
         themeToggle: $('#themeToggle'),
@@ -70,13 +97,50 @@
         sizeValue: $('#sizeValue'),
         durationWarning: $('#durationWarning'),
         subtitleBadge: $('#subtitleBadge'),
+        archivedBadge: $('#archivedBadge'),
+        archivedText: $('#archivedText'),
+        forceDownloadOption: $('#forceDownloadOption'),
+        forceDownload: $('#forceDownload'),
         subtitleOption: $('#subtitleOption'),
+        splitChaptersOption: $('#splitChaptersOption'),
+        splitChapters: $('#splitChapters'),
+        chapterCount: $('#chapterCount'),
+        chapterPicker: $('#chapterPicker'),
+        chapterList: $('#chapterList'),
+        chapterSelectAllBtn: $('#chapterSelectAll'),
+        chapterSelectNoneBtn: $('#chapterSelectNone'),
+        clipOption: $('#clipOption'),
+        clipHint: $('#clipHint'),
+        clipRanges: $('#clipRanges'),
+        addClipRangeBtn: $('#addClipRangeBtn'),
         downloadSubtitles: $('#downloadSubtitles'),
         customFilename: $('#customFilename'),
+        priority: $('#priority'),
+        rateLimit: $('#rateLimit'),
+        itemPicker: $('#itemPicker'),
+        itemPickerLabel: $('#itemPickerLabel'),
+        itemPickerCount: $('#itemPickerCount'),
+        itemRange: $('#itemRange'),
+        itemList: $('#itemList'),
+        itemSelectAllBtn: $('#itemSelectAll'),
+        itemSelectNoneBtn: $('#itemSelectNone'),
+        startAt: $('#startAt'),
         
         videoOptions: $('#videoOptions'),
         audioOptions: $('#audioOptions'),
         mergeOption: $('#mergeOption'),
+        mergeAudio: $('#mergeAudio'),
+        cueSheetOption: $('#cueSheetOption'),
+        cueSheet: $('#cueSheet'),
+        normalizeAudio: $('#normalizeAudio'),
+        replayGain: $('#replayGain'),
+        mergeSettings: $('#mergeSettings'),
+        trimSilence: $('#trimSilence'),
+        mergeTransition: $('#mergeTransition'),
+        mergeTransitionSeconds: $('#mergeTransitionSeconds'),
+        mergeVideoOption: $('#mergeVideoOption'),
+        ignoreErrorsOption: $('#ignoreErrorsOption'),
+        ignoreErrors: $('#ignoreErrors'),
         qualityGrid: $('#qualityGrid'),
         qualityWarning: $('#qualityWarning'),
         qualityWarningText: $('#qualityWarningText'),
@@ -86,12 +150,48 @@
         progressPercentage: $('#progressPercentage'),
         progressStatus: $('#progressStatus'),
         progressStages: $('#progressStages'),
+        progressItems: $('#progressItems'),
+        progressItemsToggle: $('#progressItemsToggle'),
+        progressItemsSummary: $('#progressItemsSummary'),
+        progressItemList: $('#progressItemList'),
         
         resultTitle: $('#resultTitle'),
         resultFiles: $('#resultFiles'),
         
         fileModal: $('#fileModal'),
         fileList: $('#fileList'),
+        queueModal: $('#queueModal'),
+        queueList: $('#queueList'),
+        settingsModal: $('#settingsModal'),
+        settingsForm: $('#settingsForm'),
+        historyModal: $('#historyModal'),
+        historyList: $('#historyList'),
+        historySearch: $('#historySearch'),
+        historyStatus: $('#historyStatus'),
+        historyType: $('#historyType'),
+        historyPlatform: $('#historyPlatform'),
+        historyPageInfo: $('#historyPageInfo'),
+        subscriptionsModal: $('#subscriptionsModal'),
+        subscriptionForm: $('#subscriptionForm'),
+        subscriptionUrl: $('#subscriptionUrl'),
+        subscriptionName: $('#subscriptionName'),
+        subscriptionType: $('#subscriptionType'),
+        subscriptionFormat: $('#subscriptionFormat'),
+        subscriptionQuality: $('#subscriptionQuality'),
+        subscriptionIncludeExisting: $('#subscriptionIncludeExisting'),
+        subscriptionList: $('#subscriptionList'),
+        subscriptionInfo: $('#subscriptionInfo'),
+        importModal: $('#importModal'),
+        importDropZone: $('#importDropZone'),
+        importText: $('#importText'),
+        importFile: $('#importFile'),
+        importDefaults: $('#importDefaults'),
+        importAllType: $('#importAllType'),
+        importAllFormat: $('#importAllFormat'),
+        importAllQuality: $('#importAllQuality'),
+        importPriority: $('#importPriority'),
+        importReview: $('#importReview'),
+        importSummary: $('#importSummary'),
         toastContainer: $('#toastContainer'),
         notificationSound: $('#notificationSound')
     };
@@ -116,6 +216,25 @@
         return `${m}:${String(s).padStart(2, '0')}`;
     };
 
+    // Sisa waktu ke jadwal mulai, mis. "2j 05m 09d"
+    const formatCountdown = (ms) => {
+        const total = Math.max(0, Math.floor(ms / 1000));
+        const h = Math.floor(total / 3600);
+        const m = Math.floor((total % 3600) / 60);
+        const s = total % 60;
+        if (h > 0) {
+            return `${h}j ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}d`;
+        }
+        return `${m}m ${String(s).padStart(2, '0')}d`;
+    };
+
+    // Timestamp -> nilai input datetime-local (waktu lokal)
+    const toDateTimeLocal = (timestamp) => {
+        const date = new Date(timestamp);
+        date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
+        return date.toISOString().slice(0, 16);
+    };
+
     const isValidUrl = (url) => {
         try {
             const urlObj = new URL(url);
@@ -125,6 +244,12 @@
         }
     };
 
+    const escapeHtml = (text) => {
+        return String(text ?? '').replace(/[&<>"']/g, (c) => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    };
+
     const sanitizeFilename = (name) => {
         return name.replace(/[<>:"/\\|?*\x00-\x1f]/g, '_').trim().slice(0, 100);
     };
@@ -333,15 +458,21 @@
         
         // Duration
         if (info.isPlaylist) {
-            elements.durationBadge.textContent = info.videoCount + ' videos';
+            const countLabel = info.videoCount + (info.isPodcast ? ' episode' : ' videos');
+            elements.durationBadge.textContent = countLabel;
             elements.playlistBadge.style.display = 'flex';
-            elements.videoCount.textContent = info.videoCount + ' videos';
-            elements.mergeOption.style.display = 'block';
+            elements.videoCount.textContent = countLabel;
+            elements.mergeOption.style.display = info.isPodcast ? 'none' : 'block';
+            elements.mergeVideoOption.style.display = info.isPodcast ? 'none' : 'block';
+            elements.ignoreErrorsOption.style.display = info.isPodcast ? 'none' : 'block';
         } else {
             elements.durationBadge.textContent = formatDuration(info.duration);
             elements.playlistBadge.style.display = 'none';
             elements.mergeOption.style.display = 'none';
+            elements.mergeVideoOption.style.display = 'none';
+            elements.ignoreErrorsOption.style.display = 'none';
         }
+        updateCueSheetOption();
         
         // Estimated size
         if (info.estimatedSize) {
@@ -367,9 +498,30 @@
             elements.subtitleOption.style.display = 'none';
         }
         
+        // Sudah ada di library (download archive)
+        const archivedCount = info.isPlaylist ? info.archivedCount : (info.alreadyDownloaded ? 1 : 0);
+        if (archivedCount > 0) {
+            elements.archivedBadge.style.display = 'flex';
+            elements.archivedText.textContent = info.isPlaylist && !info.alreadyDownloaded
+                ? `${archivedCount}/${info.videoCount} sudah didownload`
+                : `Sudah didownload (${info.downloadedAs.join(' & ')})`;
+            elements.forceDownloadOption.style.display = 'block';
+        } else {
+            elements.archivedBadge.style.display = 'none';
+            elements.forceDownloadOption.style.display = 'none';
+        }
+        elements.forceDownload.checked = false;
+        
         // Populate quality options dynamically
         populateQualityOptions(info.availableResolutions || [], info.hasVideoFormats);
         
+        // Podcast: hanya audio
+        $('.mode-btn[data-mode="video"]').style.display = info.isPodcast ? 'none' : '';
+        if (info.isPodcast) setMode('audio');
+        renderItemPicker(info);
+        renderChapterPicker(info);
+        renderClipOption(info);
+        
         // Check if file size exceeds limit
         if (info.fileSizeExceeded) {
             showToast('⚠️ File terlalu besar (>5GB), download mungkin gagal', 'warning', 5000);
@@ -378,6 +530,220 @@
             // Enable download button
             elements.downloadBtn.disabled = false;
         }
+        updateItemPickerCount();
+    };
+
+    // ========== Item Picker (Playlist / Podcast) ==========
+    const hasItemPicker = () => !!(state.videoInfo?.isPlaylist && state.videoInfo.videos?.length);
+
+    const renderItemPicker = (info) => {
+        elements.itemRange.value = '';
+        if (!hasItemPicker()) {
+            elements.itemPicker.style.display = 'none';
+            elements.itemList.innerHTML = '';
+            return;
+        }
+        
+        // Podcast: episode terbaru saja; playlist: semua video.
+        // Value = id episode (podcast) atau index playlist mulai 1.
+        elements.itemPickerLabel.textContent = info.isPodcast ? 'Pilih Episode' : 'Pilih Video';
+        elements.itemList.innerHTML = info.videos.map((item, index) => `
+            <label class="checkbox-option item-option">
+                <input type="checkbox" value="${info.isPodcast ? escapeHtml(item.id) : index + 1}"
+                    ${!info.isPodcast || index === 0 ? 'checked' : ''}>
+                <span class="checkmark"></span>
+                <span class="item-title">${info.isPodcast ? '' : `${index + 1}. `}${escapeHtml(item.title)}</span>
+                <span class="option-hint">
+                    ${[
+                        item.episode ? `Ep. ${item.episode}` : null,
+                        item.pubDate ? new Date(item.pubDate).toLocaleDateString('id-ID') : null,
+                        item.duration && item.duration !== '--:--' ? item.duration : null,
+                        item.archived?.length ? 'sudah didownload' : null
+                    ].filter(Boolean).join(' • ')}
+                </span>
+            </label>
+        `).join('');
+        elements.itemPicker.style.display = 'flex';
+    };
+
+    const getSelectedItems = () => Array.from(elements.itemList.querySelectorAll('input:checked')).map(input => input.value);
+
+    const updateItemPickerCount = () => {
+        if (!hasItemPicker()) return;
+        const selected = getSelectedItems().length;
+        const total = state.videoInfo.videos.length;
+        const hidden = state.videoInfo.videoCount - total;
+        elements.itemPickerCount.textContent = `${selected} dari ${total} dipilih` +
+            (hidden > 0 ? ` (${hidden} lainnya tidak ditampilkan)` : '');
+        elements.downloadBtn.disabled = selected === 0;
+    };
+
+    const setAllItems = (checked) => {
+        elements.itemList.querySelectorAll('input').forEach(input => { input.checked = checked; });
+        updateItemPickerCount();
+    };
+
+    /** "1-5, 8, 10-12" -> Set posisi (mulai 1), null kalau format salah */
+    const parseItemRange = (text, max) => {
+        const positions = new Set();
+        for (const part of text.split(/[,;\s]+/).filter(Boolean)) {
+            const match = part.match(/^(\d+)(?:-(\d+))?$/);
+            if (!match) return null;
+            const start = parseInt(match[1], 10);
+            const end = match[2] ? parseInt(match[2], 10) : start;
+            if (start < 1 || end < start) return null;
+            for (let i = start; i <= Math.min(end, max); i++) positions.add(i);
+        }
+        return positions;
+    };
+
+    const applyItemRange = () => {
+        const inputs = Array.from(elements.itemList.querySelectorAll('input'));
+        const positions = parseItemRange(elements.itemRange.value, inputs.length);
+        if (!positions) {
+            showToast('Format rentang tidak valid, contoh: 1-5, 8, 10-12', 'error');
+            return;
+        }
+        inputs.forEach((input, index) => { input.checked = positions.has(index + 1); });
+        updateItemPickerCount();
+    };
+
+    // ========== Chapter Picker (Split per Chapter) ==========
+    const hasChapters = () => !!(!state.videoInfo?.isPlaylist && state.videoInfo?.chapters?.length);
+
+    const renderChapterPicker = (info) => {
+        elements.splitChapters.checked = false;
+        elements.chapterPicker.style.display = 'none';
+        if (!hasChapters()) {
+            elements.splitChaptersOption.style.display = 'none';
+            elements.chapterList.innerHTML = '';
+            return;
+        }
+        
+        elements.chapterList.innerHTML = info.chapters.map(chapter => `
+            <label class="checkbox-option item-option">
+                <input type="checkbox" value="${chapter.index}" checked>
+                <span class="checkmark"></span>
+                <span class="item-title">${chapter.index}. ${escapeHtml(chapter.title)}</span>
+                <span class="option-hint">${formatDuration(chapter.start)} – ${formatDuration(chapter.end)}</span>
+            </label>
+        `).join('');
+        elements.splitChaptersOption.style.display = 'block';
+        updateChapterCount();
+    };
+
+    const getSelectedChapters = () => Array.from(elements.chapterList.querySelectorAll('input:checked'))
+        .map(input => parseInt(input.value, 10));
+
+    const updateChapterCount = () => {
+        if (!hasChapters()) return;
+        const total = state.videoInfo.chapters.length;
+        elements.chapterCount.textContent = elements.splitChapters.checked
+            ? `(${getSelectedChapters().length} dari ${total} chapter)`
+            : `(${total} chapter)`;
+    };
+
+    const setAllChapters = (checked) => {
+        elements.chapterList.querySelectorAll('input').forEach(input => { input.checked = checked; });
+        updateChapterCount();
+    };
+
+    const toggleChapterPicker = () => {
+        elements.chapterPicker.style.display = elements.splitChapters.checked ? 'flex' : 'none';
+        updateChapterCount();
+    };
+
+    /** Cue sheet dan pengaturan merge ikut terlihat kalau merge audio dicentang */
+    const updateCueSheetOption = () => {
+        const visible = elements.mergeOption.style.display !== 'none' && elements.mergeAudio.checked;
+        elements.cueSheetOption.style.display = visible ? 'block' : 'none';
+        elements.mergeSettings.style.display = visible ? 'flex' : 'none';
+        if (!visible) elements.cueSheet.checked = false;
+    };
+
+    const MERGE_TRANSITION_MAX = { gap: 10, crossfade: 12 };
+
+    const updateMergeTransition = () => {
+        const max = MERGE_TRANSITION_MAX[elements.mergeTransition.value];
+        elements.mergeTransitionSeconds.disabled = !max;
+        if (max) elements.mergeTransitionSeconds.max = max;
+    };
+
+    /** { trimSilence, gapSeconds, crossfadeSeconds } atau { error } */
+    const getMergeSettings = () => {
+        const transition = elements.mergeTransition.value;
+        const settings = { trimSilence: elements.trimSilence.checked, gapSeconds: 0, crossfadeSeconds: 0 };
+        const max = MERGE_TRANSITION_MAX[transition];
+        if (max) {
+            const seconds = parseFloat(elements.mergeTransitionSeconds.value);
+            if (isNaN(seconds) || seconds <= 0 || seconds > max) {
+                return { error: `Durasi ${transition === 'gap' ? 'jeda' : 'crossfade'} harus antara 0 dan ${max} detik` };
+            }
+            settings[transition === 'gap' ? 'gapSeconds' : 'crossfadeSeconds'] = seconds;
+        }
+        return settings;
+    };
+
+    // ========== Clip (Rentang Waktu) ==========
+    const MAX_CLIP_RANGES = 10;
+
+    /** "90", "1:30", "1:02:03.5" -> detik, null kalau format salah */
+    const parseTimestamp = (text) => {
+        const parts = text.trim().split(':');
+        const valid = parts.length <= 3 && parts.every((part, i) =>
+            i === parts.length - 1 ? /^\d+(\.\d+)?$/.test(part) : /^\d+$/.test(part));
+        if (!valid) return null;
+        const numbers = parts.map(Number);
+        if (numbers.slice(1).some(n => n >= 60)) return null;
+        return numbers.reduce((total, n) => total * 60 + n, 0);
+    };
+
+    const renderClipOption = (info) => {
+        elements.clipRanges.innerHTML = '';
+        elements.clipOption.style.display = info.isPlaylist ? 'none' : 'flex';
+        elements.clipHint.textContent = info.durationSeconds ? `Durasi ${formatDuration(info.durationSeconds)}` : '';
+    };
+
+    const addClipRange = () => {
+        if (elements.clipRanges.children.length >= MAX_CLIP_RANGES) {
+            showToast(`Maksimal ${MAX_CLIP_RANGES} rentang`, 'warning');
+            return;
+        }
+        const row = document.createElement('div');
+        row.className = 'clip-range';
+        row.innerHTML = `
+            <input type="text" class="custom-input clip-start" placeholder="Mulai, mis. 1:05">
+            <span>–</span>
+            <input type="text" class="custom-input clip-end" placeholder="Selesai, mis. 1:35">
+            <button type="button" class="btn-secondary btn-xs clip-remove" title="Hapus rentang">✕</button>
+        `;
+        elements.clipRanges.appendChild(row);
+        row.querySelector('.clip-start').focus();
+    };
+
+    /** Rentang yang diisi user -> { ranges } atau { error } */
+    const getClipRanges = () => {
+        const duration = state.videoInfo?.durationSeconds;
+        const ranges = [];
+        for (const row of elements.clipRanges.querySelectorAll('.clip-range')) {
+            const startText = row.querySelector('.clip-start').value;
+            const endText = row.querySelector('.clip-end').value;
+            if (!startText.trim() && !endText.trim()) continue;
+            
+            const start = parseTimestamp(startText || '0');
+            const end = parseTimestamp(endText);
+            if (start === null || end === null) {
+                return { error: 'Format waktu tidak valid, contoh: 90, 1:30 atau 1:02:03' };
+            }
+            if (end <= start) {
+                return { error: 'Waktu selesai harus setelah waktu mulai' };
+            }
+            if (duration && end > duration) {
+                return { error: `Rentang melewati durasi video (${formatDuration(duration)})` };
+            }
+            ranges.push({ start, end });
+        }
+        return { ranges };
     };
 
     // ========== Dynamic Quality Population ==========
@@ -520,23 +886,22 @@
     };
 
     // ========== Mode Toggle ==========
+    const setMode = (mode) => {
+        $$('.mode-btn').forEach(b => b.classList.toggle('active', b.dataset.mode === mode));
+        state.mode = mode;
+        
+        if (state.mode === 'video') {
+            elements.videoOptions.style.display = 'block';
+            elements.audioOptions.style.display = 'none';
+        } else {
+            elements.videoOptions.style.display = 'none';
+            elements.audioOptions.style.display = 'block';
+        }
+    };
+
     const initModeToggle = () => {
-        const modeButtons = $$('.mode-btn');
-        modeButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                modeButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                
-                state.mode = btn.dataset.mode;
-                
-                if (state.mode === 'video') {
-                    elements.videoOptions.style.display = 'block';
-                    elements.audioOptions.style.display = 'none';
-                } else {
-                    elements.videoOptions.style.display = 'none';
-                    elements.audioOptions.style.display = 'block';
-                }
-            });
+        $$('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => setMode(btn.dataset.mode));
         });
     };
 
@@ -565,6 +930,30 @@
     const startDownload = async () => {
         if (!state.videoInfo || state.isDownloading) return;
         
+        const splitChapters = state.mode === 'audio' && hasChapters() && elements.splitChapters.checked;
+        if (splitChapters && getSelectedChapters().length === 0) {
+            showToast('Pilih minimal satu chapter', 'error');
+            return;
+        }
+        
+        const clip = state.isPlaylist ? { ranges: [] } : getClipRanges();
+        if (clip.error) {
+            showToast(clip.error, 'error');
+            return;
+        }
+        
+        if (state.mode === 'audio' && elements.replayGain.checked &&
+            document.querySelector('input[name="audioFormat"]:checked').value === 'wav') {
+            showToast('ReplayGain tidak didukung untuk WAV', 'error');
+            return;
+        }
+        
+        const mergeSettings = getMergeSettings();
+        if (state.mode === 'audio' && state.isPlaylist && elements.mergeAudio.checked && mergeSettings.error) {
+            showToast(mergeSettings.error, 'error');
+            return;
+        }
+        
         state.isDownloading = true;
         elements.downloadBtn.disabled = true;
         elements.downloadBtn.classList.add('loading');
@@ -575,20 +964,56 @@
             url: elements.urlInput.value.trim(),
             type: state.mode, // 'video' or 'audio'
             mode: state.mode, // backward compatibility
-            customFilename: elements.customFilename.value.trim() || null
+            customFilename: elements.customFilename.value.trim() || null,
+            priority: elements.priority.value,
+            rateLimitKBps: parseInt(elements.rateLimit.value, 10) || 0,
+            title: state.videoInfo.title || null,
+            forceDownload: elements.forceDownload.checked
         };
         
+        if (elements.startAt.value) {
+            options.startAt = new Date(elements.startAt.value).toISOString();
+        }
+        
+        if (clip.ranges.length > 0) {
+            options.ranges = clip.ranges;
+        }
+        
         if (state.mode === 'video') {
             options.format = document.querySelector('input[name="videoFormat"]:checked').value;
             options.quality = document.querySelector('input[name="videoQuality"]:checked').value;
             options.embedThumbnail = $('#embedThumbnailVideo').checked;
             options.highCompatibility = $('#highCompatibility')?.checked || false;
             options.downloadSubtitles = $('#downloadSubtitles')?.checked || false;
+            options.merge = state.isPlaylist && $('#mergeVideo').checked;
         } else {
             options.format = document.querySelector('input[name="audioFormat"]:checked').value;
             options.embedThumbnail = $('#embedThumbnailAudio').checked;
-            options.normalize = $('#normalizeAudio').checked;
-            options.merge = state.isPlaylist && $('#mergeAudio').checked;
+            options.normalizeAudio = elements.normalizeAudio.checked;
+            options.replayGain = elements.replayGain.checked;
+            options.merge = state.isPlaylist && elements.mergeAudio.checked;
+            options.cueSheet = options.merge && elements.cueSheet.checked;
+            if (options.merge) {
+                Object.assign(options, mergeSettings);
+            }
+            if (splitChapters) {
+                const chapters = getSelectedChapters();
+                options.splitChapters = true;
+                options.chapters = chapters.length < state.videoInfo.chapters.length ? chapters : null;
+            }
+        }
+        
+        if (state.videoInfo.isPodcast) {
+            options.source = 'podcast';
+            options.episodes = getSelectedItems();
+            options.merge = false;
+        } else if (state.isPlaylist) {
+            options.ignoreErrors = elements.ignoreErrors.checked;
+            // Semua item terpilih = seluruh playlist, termasuk item yang tidak ditampilkan
+            const selectedItems = hasItemPicker() ? getSelectedItems() : [];
+            if (selectedItems.length && selectedItems.length < state.videoInfo.videos.length) {
+                options.playlistItems = selectedItems.map(Number);
+            }
         }
         
         // Show progress section
@@ -599,6 +1024,7 @@
         elements.progressFill.style.width = '0%';
         elements.progressStatus.textContent = 'Connecting to server...';
         resetProgressStages();
+        resetProgressItems();
         
         try {
             const response = await fetch('/api/download', {
@@ -609,6 +1035,14 @@
             
             const data = await response.json();
             
+            // URL yang sama sudah di antrian - tampilkan progress job tersebut
+            if (response.status === 409 && data.downloadId) {
+                showToast(data.error, 'warning');
+                state.downloadId = data.downloadId;
+                connectSSE(data.downloadId);
+                return;
+            }
+            
             if (!response.ok) {
                 throw new Error(data.error || 'Download failed');
             }
@@ -649,7 +1083,7 @@
 
     // ========== Update Progress ==========
     const updateProgress = (data) => {
-        const { status, progress, message, files, error, queuePosition } = data;
+        const { status, progress, message, files, error, queuePosition, resumable, startAt, attempt, maxAttempts, lastError, items } = data;
         
         // Update progress bar
         const percent = Math.min(100, Math.max(0, progress || 0));
@@ -661,8 +1095,24 @@
             elements.progressStatus.textContent = message;
         }
         
+        // Hitung mundur untuk job terjadwal / menunggu retry
+        clearInterval(state.countdownTimer);
+        state.countdownTimer = null;
+        if ((status === 'scheduled' || status === 'retrying') && startAt) {
+            const tick = () => {
+                const countdown = formatCountdown(startAt - Date.now());
+                elements.progressStatus.textContent = status === 'retrying'
+                    ? `${lastError || 'Download gagal'}. Mencoba lagi dalam ${countdown}`
+                    : `Mulai dalam ${countdown}`;
+            };
+            tick();
+            state.countdownTimer = setInterval(tick, 1000);
+        }
+        
         // Update title based on status
         const statusTitles = {
+            scheduled: `Dijadwalkan ${startAt ? new Date(startAt).toLocaleString() : ''}`,
+            retrying: `Mencoba lagi (percobaan ${attempt} dari ${maxAttempts})`,
             queued: `Dalam antrian (posisi ${queuePosition || '?'})`,
             starting: 'Memulai download...',
             downloading_video: 'Downloading video...',
@@ -674,18 +1124,42 @@
             finalizing: 'Finalizing...',
             finished: 'Download complete!',
             error: 'Download failed',
-            cancelled: 'Download cancelled'
+            cancelled: 'Download cancelled',
+            interrupted: 'Download interrupted',
+            paused: 'Download paused'
         };
         
         elements.progressTitle.textContent = statusTitles[status] || 'Processing...';
         
         // Update progress stages
         updateProgressStages(status);
+        if (items) {
+            renderProgressItems(items);
+        }
+        
+        // Job dijeda - SSE tetap tersambung agar resume dari panel antrian ikut terlihat
+        elements.progressSection.classList.toggle('paused', status === 'paused');
+        if (status === 'paused') {
+            showResumeAction(true);
+            return;
+        }
+        
+        // Job yang gagal/terputus tapi masih bisa dilanjutkan
+        if (resumable && (status === 'error' || status === 'interrupted')) {
+            closeSSE();
+            showToast(message || 'Download terhenti', 'warning');
+            showResumeAction(true);
+            return;
+        }
+        
+        showResumeAction(false);
+        // Merge / finalisasi tidak bisa dijeda (server menolak dengan 409)
+        elements.pauseBtn.disabled = ['merging_playlist', 'finalizing'].includes(status);
         
         // Handle completion
         if (status === 'finished') {
             closeSSE();
-            showResult(files);
+            showResult(files, data.skipped, data.failedItems, data.downloadId);
             playNotificationSound();
             triggerVibration();
             // Auto-refresh file list after download completes
@@ -698,9 +1172,62 @@
             closeSSE();
             showToast('Download dibatalkan', 'warning');
             resetToOptions();
+        } else if (status === 'interrupted') {
+            closeSSE();
+            showToast(message || 'Download terhenti', 'warning');
+            resetToOptions();
         }
     };
 
+    // ========== Per-Item Progress (Playlist) ==========
+    const ITEM_STATUS_LABELS = {
+        pending: 'Menunggu',
+        downloading: 'Mengunduh',
+        finished: 'Selesai',
+        skipped: 'Dilewati',
+        failed: 'Gagal'
+    };
+
+    const renderProgressItems = (items) => {
+        if (items.length === 0) {
+            resetProgressItems();
+            return;
+        }
+        
+        const count = (status) => items.filter(item => item.status === status).length;
+        const parts = [`${count('finished')}/${items.length} selesai`];
+        if (count('failed')) parts.push(`${count('failed')} gagal`);
+        if (count('skipped')) parts.push(`${count('skipped')} dilewati`);
+        elements.progressItemsSummary.textContent = `Item playlist: ${parts.join(' · ')}`;
+        
+        elements.progressItemList.innerHTML = items.map(item => {
+            const percent = item.status === 'finished' ? 100 : Math.min(100, item.percent || 0);
+            const detail = item.status === 'downloading' ? `${percent.toFixed(1)}%` : ITEM_STATUS_LABELS[item.status] || item.status;
+            const size = item.size ? ` · ${formatBytes(item.size)}` : '';
+            return `
+                <li class="progress-item ${escapeHtml(item.status)}">
+                    <span class="progress-item-index">${item.index}</span>
+                    <span class="progress-item-title" title="${escapeHtml(item.title || item.id || '')}">${escapeHtml(item.title || item.id || `Item ${item.index}`)}</span>
+                    <span class="progress-item-status">${escapeHtml(detail)}${size}</span>
+                    ${item.status === 'downloading' ? `<div class="progress-item-bar"><span style="width: ${percent}%"></span></div>` : ''}
+                    ${item.error ? `<span class="progress-item-error">${escapeHtml(item.error)}</span>` : ''}
+                </li>
+            `;
+        }).join('');
+        elements.progressItems.style.display = 'block';
+    };
+
+    const resetProgressItems = () => {
+        elements.progressItems.style.display = 'none';
+        elements.progressItemList.innerHTML = '';
+    };
+
+    const toggleProgressItems = () => {
+        const expanded = elements.progressItemsToggle.getAttribute('aria-expanded') !== 'true';
+        elements.progressItemsToggle.setAttribute('aria-expanded', String(expanded));
+        elements.progressItemList.style.display = expanded ? 'flex' : 'none';
+    };
+
     // ========== Progress Stages ==========
     const resetProgressStages = () => {
         $$('.stage').forEach(stage => {
@@ -709,7 +1236,13 @@
     };
 
     const updateProgressStages = (status) => {
+        // Dijeda: tetap di tahap downloading, ditandai dengan warna berbeda
+        $$('.stage').forEach(stage => stage.classList.toggle('paused', status === 'paused'));
+        if (status === 'paused') return;
+        
         const stageMap = {
+            scheduled: 'queued',
+            retrying: 'queued',
             queued: 'queued',
             starting: 'queued',
             downloading_video: 'downloading',
@@ -743,7 +1276,7 @@
     };
 
     // ========== Show Result ==========
-    const showResult = (files) => {
+    const showResult = (files, skipped = [], failedItems = [], downloadId = null) => {
         state.isDownloading = false;
         elements.progressSection.style.display = 'none';
         elements.resultSection.style.display = 'block';
@@ -753,11 +1286,11 @@
         if (files && files.length > 0) {
             files.forEach(file => {
                 const fileItem = document.createElement('a');
-                fileItem.href = `/downloads/${encodeURIComponent(file.name)}`;
+                fileItem.href = file.url || `/downloads/${encodeURIComponent(file.name)}`;
                 fileItem.className = 'result-file';
                 fileItem.download = file.name;
                 
-                const iconSvg = file.name.endsWith('.mp4') || file.name.endsWith('.webm') 
+                const iconSvg = /\.(mp4|webm|mkv)$/.test(file.name)
                     ? '<svg viewBox="0 0 24 24"><rect x="2" y="7" width="20" height="15" rx="2" ry="2"/><polyline points="17 2 12 7 7 2"/></svg>'
                     : '<svg viewBox="0 0 24 24"><path d="M9 18V5l12-2v13"/><circle cx="6" cy="18" r="3"/><circle cx="18" cy="16" r="3"/></svg>';
                 
@@ -771,7 +1304,72 @@
             });
         }
         
-        showToast('Download selesai!', 'success');
+        // Video yang dilewati karena sudah ada di arsip
+        skipped.forEach(item => {
+            const skippedItem = document.createElement('div');
+            skippedItem.className = 'result-file skipped';
+            skippedItem.innerHTML = `
+                <span class="file-icon"><svg viewBox="0 0 24 24"><polyline points="20 6 9 17 4 12"/></svg></span>
+                <span class="file-name">${escapeHtml(item.title)}</span>
+                <span class="file-size">${escapeHtml(item.reason)}</span>
+            `;
+            elements.resultFiles.appendChild(skippedItem);
+        });
+        
+        // Item playlist yang gagal (mode ignore-errors)
+        failedItems.forEach(item => {
+            const failedItem = document.createElement('div');
+            failedItem.className = 'result-file failed';
+            failedItem.innerHTML = `
+                <span class="file-icon"><svg viewBox="0 0 24 24"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg></span>
+                <span class="file-name">${escapeHtml(item.title || item.id || `Item ${item.index}`)}</span>
+                <span class="file-size">${escapeHtml(item.error || 'Gagal')}</span>
+            `;
+            elements.resultFiles.appendChild(failedItem);
+        });
+        
+        if (failedItems.length > 0 && downloadId) {
+            const retryBtn = document.createElement('button');
+            retryBtn.className = 'btn-secondary btn-retry-failed';
+            retryBtn.textContent = `Coba lagi ${failedItems.length} item yang gagal`;
+            retryBtn.addEventListener('click', () => retryFailedFromResult(downloadId));
+            elements.resultFiles.appendChild(retryBtn);
+            showToast(`Selesai, ${failedItems.length} item gagal`, 'warning');
+            return;
+        }
+        
+        const allSkipped = (!files || files.length === 0) && skipped.length > 0;
+        showToast(allSkipped ? 'Dilewati, sudah pernah didownload' : 'Download selesai!', allSkipped ? 'warning' : 'success');
+    };
+
+    // Antrikan ulang item playlist yang gagal sebagai job baru
+    const retryFailedItems = async (id) => {
+        const response = await fetch(`/api/history/${id}/retry-failed`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Gagal mengantrikan ulang');
+        }
+        return data;
+    };
+
+    // Dari halaman hasil: progress job baru langsung diikuti
+    const retryFailedFromResult = async (id) => {
+        try {
+            const data = await retryFailedItems(id);
+            showToast(data.message, 'success');
+            state.isDownloading = true;
+            state.downloadId = data.downloadId;
+            elements.resultSection.style.display = 'none';
+            elements.progressSection.style.display = 'block';
+            elements.progressTitle.textContent = 'Starting download...';
+            elements.progressPercentage.textContent = '0%';
+            elements.progressFill.style.width = '0%';
+            resetProgressStages();
+            resetProgressItems();
+            connectSSE(data.downloadId);
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
     };
 
     // ========== Cancel Download ==========
@@ -788,6 +1386,52 @@
         }
     };
 
+    // ========== Resume Download ==========
+    const showResumeAction = (visible) => {
+        elements.resumeBtn.style.display = visible ? 'flex' : 'none';
+        elements.pauseBtn.style.display = visible ? 'none' : 'flex';
+        elements.cancelBtn.style.display = 'flex';
+    };
+
+    // ========== Pause Download ==========
+    const pauseDownload = async () => {
+        if (!state.downloadId) return;
+        
+        try {
+            const response = await fetch(`/api/jobs/${state.downloadId}/pause`, { method: 'POST' });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Gagal menjeda download');
+            }
+            
+            showToast('Download dijeda', 'info');
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    };
+
+    const resumeDownload = async () => {
+        if (!state.downloadId) return;
+        
+        try {
+            const response = await fetch(`/api/jobs/${state.downloadId}/resume`, { method: 'POST' });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(data.error || 'Gagal melanjutkan download');
+            }
+            
+            showResumeAction(false);
+            if (!state.eventSource) {
+                connectSSE(state.downloadId);
+            }
+            showToast('Download dilanjutkan', 'info');
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    };
+
     // ========== Utilities ==========
     const closeSSE = () => {
         if (state.eventSource) {
@@ -802,6 +1446,8 @@
         elements.downloadBtn.disabled = false;
         elements.downloadBtn.classList.remove('loading');
         elements.downloadBtn.innerHTML = '<svg class="icon" viewBox="0 0 24 24"><path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/><polyline points="7 10 12 15 17 10"/><line x1="12" y1="15" x2="12" y2="3"/></svg><span>Download</span>';
+        showResumeAction(false);
+        clearInterval(state.countdownTimer);
         elements.progressSection.style.display = 'none';
         elements.optionsSection.style.display = 'block';
     };
@@ -813,13 +1459,24 @@
         state.isFetching = false;
         state.isDownloading = false;
         closeSSE();
+        clearInterval(state.countdownTimer);
         
         elements.urlInput.value = '';
         elements.customFilename.value = '';
+        elements.startAt.value = '';
+        elements.itemPicker.style.display = 'none';
+        elements.itemList.innerHTML = '';
+        elements.splitChaptersOption.style.display = 'none';
+        elements.chapterPicker.style.display = 'none';
+        elements.splitChapters.checked = false;
+        elements.clipOption.style.display = 'none';
+        elements.clipRanges.innerHTML = '';
+        $('.mode-btn[data-mode="video"]').style.display = '';
         elements.previewSection.style.display = 'none';
         elements.optionsSection.style.display = 'none';
         elements.progressSection.style.display = 'none';
         elements.resultSection.style.display = 'none';
+        resetProgressItems();
         elements.downloadBtn.disabled = true;
         elements.fetchBtn.disabled = true;
     };
@@ -878,6 +1535,991 @@
         }
     };
 
+    // ========== Queue Manager ==========
+    const priorityLabels = { high: 'Tinggi', normal: 'Normal', low: 'Rendah' };
+
+    const renderQueueItem = (item, draggable) => `
+        <div class="queue-item" data-id="${item.downloadId}" draggable="${draggable}">
+            <span class="queue-position">${item.position ? '#' + item.position : item.startAt ? '⏰' : '▶'}</span>
+            <div class="queue-info">
+                <span class="queue-title">${escapeHtml(item.title || item.url)}</span>
+                <span class="file-meta">
+                    ${item.platform ? `${platformEmojis[getPlatformKey(item.platform)] || platformEmojis.default} ${escapeHtml(item.platform)} •` : ''}
+                    ${item.priority ? `<span class="priority-badge priority-${item.priority}">${priorityLabels[item.priority]}</span>` : ''}
+                    ${escapeHtml((item.format || '').toUpperCase())} ${item.quality && item.type === 'video' ? '• ' + escapeHtml(item.quality) : ''}
+                    ${item.message ? '• ' + escapeHtml(item.message) : ''}
+                    ${item.status === 'retrying' ? `• percobaan ${item.attempt}` : ''}
+                    ${item.startAt ? '• mulai dalam ' + formatCountdown(item.startAt - Date.now()) : ''}
+                </span>
+            </div>
+            <div class="file-actions">
+                ${item.startAt ? `
+                    <input type="datetime-local" class="queue-start-input" value="${toDateTimeLocal(item.startAt)}" title="Ubah jadwal">
+                    <button class="btn-sm btn-queue-action" data-action="start" title="Mulai sekarang">
+                        <svg viewBox="0 0 24 24"><polygon points="6 4 20 12 6 20 6 4"/></svg>
+                    </button>` : item.resumable ? `
+                    <button class="btn-sm btn-queue-action" data-action="resume" title="Lanjutkan">
+                        <svg viewBox="0 0 24 24"><polygon points="6 4 20 12 6 20 6 4"/></svg>
+                    </button>` : `
+                    <button class="btn-sm btn-queue-action" data-action="pause" title="Jeda">
+                        <svg viewBox="0 0 24 24"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>
+                    </button>`}
+                ${draggable ? `
+                    <button class="btn-sm btn-queue-action" data-action="front" title="Pindah ke depan">
+                        <svg viewBox="0 0 24 24"><polyline points="17 11 12 6 7 11"/><polyline points="17 18 12 13 7 18"/></svg>
+                    </button>
+                    <button class="btn-sm btn-queue-action" data-action="back" title="Pindah ke belakang">
+                        <svg viewBox="0 0 24 24"><polyline points="7 13 12 18 17 13"/><polyline points="7 6 12 11 17 6"/></svg>
+                    </button>` : ''}
+                <button class="btn-sm btn-delete-file btn-queue-action" data-action="cancel" title="Batalkan">
+                    <svg viewBox="0 0 24 24"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+                </button>
+            </div>
+        </div>
+    `;
+
+    const loadQueue = async () => {
+        // Jangan render ulang saat item sedang di-drag atau jadwal sedang diedit
+        if (state.draggedQueueId) return;
+        if (document.activeElement?.classList.contains('queue-start-input')) return;
+        
+        try {
+            const [queueRes, jobsRes] = await Promise.all([fetch('/api/queue'), fetch('/api/jobs')]);
+            const queue = await queueRes.json();
+            const { jobs } = await jobsRes.json();
+            
+            const stopped = jobs
+                .filter(job => job.progress?.resumable)
+                .map(job => ({
+                    downloadId: job.downloadId,
+                    url: job.options.url,
+                    title: job.options.title,
+                    type: job.options.type,
+                    format: job.options.format,
+                    quality: job.options.quality,
+                    message: job.progress.message,
+                    resumable: true
+                }));
+            
+            if (queue.running.length === 0 && queue.items.length === 0 && queue.scheduled.length === 0 && stopped.length === 0) {
+                elements.queueList.innerHTML = `
+                    <div class="empty-state">
+                        <p>Antrian kosong</p>
+                    </div>
+                `;
+                return;
+            }
+            
+            let html = '';
+            if (queue.running.length > 0) {
+                html += `<p class="queue-group-title">Sedang berjalan (${queue.activeDownloads}/${queue.maxConcurrent})</p>`;
+                html += queue.running.map(item => renderQueueItem(item, false)).join('');
+            }
+            if (queue.items.length > 0) {
+                html += `<p class="queue-group-title">Antrian (${queue.items.length}) — drag untuk mengubah urutan</p>`;
+                html += queue.items.map(item => renderQueueItem(item, true)).join('');
+            }
+            if (queue.scheduled.length > 0) {
+                html += `<p class="queue-group-title">Terjadwal / menunggu retry (${queue.scheduled.length})</p>`;
+                html += queue.scheduled.map(item => renderQueueItem(item, false)).join('');
+            }
+            if (stopped.length > 0) {
+                html += `<p class="queue-group-title">Terhenti (${stopped.length})</p>`;
+                html += stopped.map(item => renderQueueItem(item, false)).join('');
+            }
+            elements.queueList.innerHTML = html;
+            
+        } catch (e) {
+            showToast('Gagal memuat antrian', 'error');
+        }
+    };
+
+    const handleQueueAction = async (id, action, value) => {
+        try {
+            let response;
+            if (action === 'cancel') {
+                response = await fetch(`/api/cancel/${id}`, { method: 'POST' });
+            } else if (action === 'start' || action === 'reschedule') {
+                // startAt null = mulai sekarang
+                response = await fetch(`/api/queue/${id}`, {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ startAt: action === 'start' ? null : new Date(value).toISOString() })
+                });
+            } else if (action === 'resume' || action === 'pause') {
+                response = await fetch(`/api/jobs/${id}/${action}`, { method: 'POST' });
+            } else {
+                response = await fetch(`/api/queue/${id}/move`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ position: action })
+                });
+            }
+            
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Aksi antrian gagal');
+            }
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+        loadQueue();
+    };
+
+    const saveQueueOrder = async () => {
+        const order = Array.from(elements.queueList.querySelectorAll('.queue-item[draggable="true"]'))
+            .map(el => el.dataset.id);
+        
+        try {
+            await fetch('/api/queue/order', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ order })
+            });
+        } catch (e) {
+            showToast('Gagal menyimpan urutan antrian', 'error');
+        }
+        loadQueue();
+    };
+
+    const initQueueDragAndDrop = () => {
+        const list = elements.queueList;
+        
+        list.addEventListener('click', (e) => {
+            const btn = e.target.closest('.btn-queue-action');
+            if (!btn) return;
+            handleQueueAction(btn.closest('.queue-item').dataset.id, btn.dataset.action);
+        });
+        
+        list.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('queue-start-input') || !e.target.value) return;
+            handleQueueAction(e.target.closest('.queue-item').dataset.id, 'reschedule', e.target.value);
+            e.target.blur();
+        });
+        
+        list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.queue-item[draggable="true"]');
+            if (!item) return;
+            state.draggedQueueId = item.dataset.id;
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        list.addEventListener('dragover', (e) => {
+            const target = e.target.closest('.queue-item[draggable="true"]');
+            if (!target || !state.draggedQueueId) return;
+            e.preventDefault();
+            list.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            target.classList.add('drag-over');
+        });
+        
+        list.addEventListener('drop', (e) => {
+            const target = e.target.closest('.queue-item[draggable="true"]');
+            const dragged = list.querySelector(`.queue-item[data-id="${state.draggedQueueId}"]`);
+            if (!target || !dragged || target === dragged) return;
+            e.preventDefault();
+            
+            // Sisipkan sebelum/sesudah target tergantung posisi kursor
+            const rect = target.getBoundingClientRect();
+            const after = e.clientY > rect.top + rect.height / 2;
+            target.parentNode.insertBefore(dragged, after ? target.nextSibling : target);
+            
+            state.draggedQueueId = null;
+            saveQueueOrder();
+        });
+        
+        list.addEventListener('dragend', () => {
+            state.draggedQueueId = null;
+            list.querySelectorAll('.dragging, .drag-over').forEach(el => el.classList.remove('dragging', 'drag-over'));
+        });
+    };
+
+    const openQueueModal = () => {
+        loadQueue();
+        elements.queueModal.classList.add('active');
+        clearInterval(state.queuePollTimer);
+        state.queuePollTimer = setInterval(loadQueue, 2000);
+    };
+
+    const closeQueueModal = () => {
+        elements.queueModal.classList.remove('active');
+        clearInterval(state.queuePollTimer);
+        state.queuePollTimer = null;
+    };
+
+    // ========== Settings ==========
+    // Nilai di server dalam ms/byte; scale mengubahnya ke satuan yang ramah pengguna
+    const settingsFields = [
+        { group: 'Antrian' },
+        { key: 'MAX_CONCURRENT_DOWNLOADS', label: 'Download bersamaan', unit: '', scale: 1 },
+        { key: 'MAX_PER_PLATFORM', label: 'Download bersamaan per situs', unit: '', scale: 1 },
+        { key: 'PLATFORM_LIMITS', label: 'Limit khusus per situs', type: 'platformMap', placeholder: 'youtube:1, tiktok:2' },
+        { group: 'Bandwidth' },
+        { key: 'BANDWIDTH_LIMIT_KBPS', label: 'Batas total (0 = tanpa batas)', unit: 'KB/s', scale: 1 },
+        { key: 'BANDWIDTH_SCHEDULE', label: 'Jadwal batas per jam', type: 'bandwidthSchedule', placeholder: '08:00-17:00=512, 22:00-06:00=0' },
+        { group: 'Retry' },
+        { key: 'RETRY_MAX_ATTEMPTS', label: 'Percobaan maksimal', unit: 'x', scale: 1 },
+        { key: 'RETRY_BASE_DELAY_MS', label: 'Jeda retry awal (berlipat dua)', unit: 'detik', scale: 1000 },
+        { group: 'Timeout' },
+        { key: 'DOWNLOAD_TIMEOUT_MS', label: 'Timeout download', unit: 'menit', scale: 60000 },
+        { key: 'INFO_TIMEOUT_MS', label: 'Timeout ambil info', unit: 'detik', scale: 1000 },
+        { group: 'Batas' },
+        { key: 'MAX_PLAYLIST_MERGE', label: 'Maks video untuk merge', unit: 'video', scale: 1 },
+        { key: 'LONG_DURATION_WARNING_SEC', label: 'Peringatan durasi panjang', unit: 'menit', scale: 60 },
+        { key: 'MAX_FILE_SIZE_BYTES', label: 'Ukuran file maksimal', unit: 'MB', scale: 1024 * 1024 },
+        { key: 'HISTORY_MAX_ENTRIES', label: 'Entri history disimpan', unit: 'job', scale: 1 },
+        { key: 'MAX_BATCH_URLS', label: 'Maks URL per batch', unit: 'URL', scale: 1 },
+        { group: 'Audio' },
+        { key: 'LOUDNESS_TARGET_LUFS', label: 'Target normalisasi loudness', unit: 'LUFS', scale: 1 },
+        { group: 'Subscriptions' },
+        { key: 'SUBSCRIPTION_CHECK_INTERVAL_MS', label: 'Interval pengecekan', unit: 'menit', scale: 60000 },
+        { key: 'SUBSCRIPTION_SCAN_LIMIT', label: 'Item terbaru yang dicek', unit: 'item', scale: 1 },
+        { group: 'Cleanup' },
+        { key: 'FILE_MAX_AGE_MS', label: 'Hapus file setelah', unit: 'jam', scale: 3600000 },
+        { key: 'PROGRESS_CLEANUP_MS', label: 'Hapus progress setelah', unit: 'menit', scale: 60000 },
+        { key: 'CLEANUP_INTERVAL_MS', label: 'Interval cleanup', unit: 'menit', scale: 60000 },
+        { group: 'Rate Limit' },
+        { key: 'DOWNLOAD_RATE_MAX', label: 'Request download per jendela', unit: 'x', scale: 1 },
+        { key: 'DOWNLOAD_RATE_WINDOW_MS', label: 'Jendela rate download', unit: 'detik', scale: 1000 },
+        { key: 'INFO_RATE_MAX', label: 'Request info per jendela', unit: 'x', scale: 1 },
+        { key: 'INFO_RATE_WINDOW_MS', label: 'Jendela rate info', unit: 'detik', scale: 1000 }
+    ];
+
+    // { youtube: 1, tiktok: 2 } <-> "youtube:1, tiktok:2"
+    const formatPlatformMap = (map) => Object.entries(map || {})
+        .map(([platform, limit]) => `${platform}:${limit}`)
+        .join(', ');
+
+    const parsePlatformMap = (text) => text.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .reduce((acc, part) => {
+            const [platform, limit] = part.split(':').map(p => p.trim());
+            acc[platform.toLowerCase()] = parseInt(limit, 10);
+            return acc;
+        }, {});
+
+    // [{ from: '08:00', to: '17:00', limitKBps: 512 }] <-> "08:00-17:00=512"
+    const formatSchedule = (rules) => (rules || [])
+        .map(rule => `${rule.from}-${rule.to}=${rule.limitKBps}`)
+        .join(', ');
+
+    const parseSchedule = (text) => text.split(',')
+        .map(part => part.trim())
+        .filter(Boolean)
+        .map(part => {
+            const match = part.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})\s*=\s*(\d+)$/);
+            // Bagian yang tidak valid tetap dikirim agar ditolak server
+            if (!match) return { from: part, to: part, limitKBps: -1 };
+            return {
+                from: match[1].padStart(5, '0'),
+                to: match[2].padStart(5, '0'),
+                limitKBps: parseInt(match[3], 10)
+            };
+        });
+
+    // Setting non-angka diedit sebagai teks
+    const textSettingCodecs = {
+        platformMap: { format: formatPlatformMap, parse: parsePlatformMap, hint: 'Format: platform:limit, pisahkan dengan koma' },
+        bandwidthSchedule: { format: formatSchedule, parse: parseSchedule, hint: 'Format: HH:MM-HH:MM=KB/s, pisahkan dengan koma (0 = tanpa batas)' }
+    };
+
+    const renderSettings = ({ settings, defaults, schema, locked }) => {
+        state.settings = settings;
+        elements.settingsForm.innerHTML = settingsFields.map(field => {
+            if (field.group) {
+                return `<p class="settings-group-title">${field.group}</p>`;
+            }
+            
+            const rule = schema[field.key];
+            const isLocked = locked.includes(field.key);
+            const toUnit = (v) => +(v / field.scale).toFixed(2);
+            
+            if (field.type) {
+                const codec = textSettingCodecs[field.type];
+                return `
+                    <div class="settings-row">
+                        <label for="setting-${field.key}">
+                            ${field.label}
+                            <span class="option-hint">${isLocked ? 'Diatur lewat environment variable' : codec.hint}</span>
+                        </label>
+                        <span class="settings-input">
+                            <input type="text" class="settings-text" id="setting-${field.key}" data-key="${field.key}"
+                                value="${escapeHtml(codec.format(settings[field.key]))}"
+                                placeholder="${field.placeholder}" ${isLocked ? 'disabled' : ''}>
+                        </span>
+                    </div>
+                `;
+            }
+            
+            return `
+                <div class="settings-row">
+                    <label for="setting-${field.key}">
+                        ${field.label}
+                        <span class="option-hint">
+                            ${isLocked ? 'Diatur lewat environment variable' : `Default: ${toUnit(defaults[field.key])} ${field.unit}`}
+                        </span>
+                    </label>
+                    <span class="settings-input">
+                        <input type="number" id="setting-${field.key}" data-key="${field.key}"
+                            value="${toUnit(settings[field.key])}"
+                            min="${toUnit(rule.min)}" max="${toUnit(rule.max)}" step="any"
+                            ${isLocked ? 'disabled' : ''}>
+                        ${field.unit}
+                    </span>
+                </div>
+            `;
+        }).join('');
+    };
+
+    const loadSettings = async () => {
+        try {
+            const response = await fetch('/api/settings');
+            renderSettings(await response.json());
+        } catch (e) {
+            showToast('Gagal memuat settings', 'error');
+        }
+    };
+
+    const saveSettings = async (reset = false) => {
+        const changes = {};
+        const invalidInputs = [];
+        elements.settingsForm.querySelectorAll('input[data-key]:not(:disabled)').forEach(input => {
+            const field = settingsFields.find(f => f.key === input.dataset.key);
+            input.classList.remove('invalid');
+            input.setCustomValidity('');
+            
+            // Hanya kirim nilai yang berubah agar config.json tetap ringkas
+            if (reset) {
+                changes[field.key] = null;
+            } else if (field.type) {
+                const codec = textSettingCodecs[field.type];
+                const value = codec.parse(input.value);
+                if (codec.format(value) !== codec.format(state.settings?.[field.key])) {
+                    changes[field.key] = value;
+                }
+            } else {
+                // Field kosong / bukan angka jangan dikirim (null = reset ke default)
+                const value = Math.round(parseFloat(input.value) * field.scale);
+                if (!Number.isFinite(value)) {
+                    input.classList.add('invalid');
+                    input.setCustomValidity('Isi dengan angka');
+                    invalidInputs.push(input);
+                } else if (value !== state.settings?.[field.key]) {
+                    changes[field.key] = value;
+                }
+            }
+        });
+        
+        if (invalidInputs.length > 0) {
+            invalidInputs[0].reportValidity();
+            showToast('Ada setting yang belum diisi dengan angka', 'error');
+            return;
+        }
+        
+        try {
+            const response = await fetch('/api/settings', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(changes)
+            });
+            const data = await response.json();
+            
+            if (!response.ok) {
+                Object.keys(data.errors || {}).forEach(key => {
+                    $(`#setting-${key}`)?.classList.add('invalid');
+                });
+                throw new Error(data.error || 'Gagal menyimpan settings');
+            }
+            
+            showToast(reset ? 'Settings dikembalikan ke default' : 'Settings disimpan', 'success');
+            loadSettings();
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    };
+
+    const openSettingsModal = () => {
+        loadSettings();
+        elements.settingsModal.classList.add('active');
+    };
+
+    const closeSettingsModal = () => {
+        elements.settingsModal.classList.remove('active');
+    };
+
+    // ========== History ==========
+    const historyStatusLabels = { finished: 'Selesai', error: 'Gagal', cancelled: 'Dibatalkan' };
+
+    const renderHistoryItem = (entry) => `
+        <div class="queue-item history-item" data-id="${entry.downloadId}">
+            <span class="history-status history-${entry.status}" title="${historyStatusLabels[entry.status] || entry.status}"></span>
+            <div class="queue-info">
+                <span class="queue-title">${escapeHtml(entry.title || entry.url)}</span>
+                <span class="file-meta">
+                    ${platformEmojis[getPlatformKey(entry.platform)] || platformEmojis.default} ${escapeHtml(entry.platform)} •
+                    ${escapeHtml((entry.format || '').toUpperCase())} ${entry.quality && entry.type === 'video' ? '• ' + escapeHtml(entry.quality) : ''} •
+                    ${new Date(entry.finishedAt).toLocaleString('id-ID')}
+                    ${entry.durationSeconds !== null ? '• ' + formatDuration(entry.durationSeconds) : ''}
+                    ${entry.attempts > 1 ? `• ${entry.attempts} percobaan` : ''}
+                </span>
+                ${entry.error ? `<span class="file-meta history-error">${escapeHtml(entry.error)}</span>` : ''}
+                ${entry.failedItems?.length > 0 ? `
+                    <span class="file-meta history-error" title="${escapeHtml(entry.failedItems.map(item => `${item.title || item.id || item.index}: ${item.error}`).join('\n'))}">
+                        ${entry.failedItems.length} item gagal
+                    </span>` : ''}
+                ${entry.files.length > 0 ? `
+                    <span class="file-meta">
+                        ${entry.files.map(file => `<a href="${file.url}" download>${escapeHtml(file.name)}</a>`).join(', ')}
+                    </span>` : ''}
+            </div>
+            <div class="file-actions">
+                ${entry.failedItems?.length > 0 ? `
+                    <button class="btn-sm btn-queue-action" data-action="retry-failed" title="Coba lagi item yang gagal saja">
+                        <svg viewBox="0 0 24 24"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"/><line x1="12" y1="9" x2="12" y2="13"/><line x1="12" y1="17" x2="12.01" y2="17"/></svg>
+                    </button>` : ''}
+                <button class="btn-sm btn-queue-action" data-action="rerun" title="Download lagi dengan opsi yang sama">
+                    <svg viewBox="0 0 24 24"><path d="M21 12a9 9 0 1 1-3-6.7"/><polyline points="21 3 21 9 15 9"/></svg>
+                </button>
+            </div>
+        </div>
+    `;
+
+    const loadHistory = async () => {
+        const params = new URLSearchParams({ page: state.historyPage, limit: 20 });
+        ['Search', 'Status', 'Type', 'Platform'].forEach(name => {
+            const value = elements[`history${name}`].value.trim();
+            if (value) params.set(name === 'Search' ? 'q' : name.toLowerCase(), value);
+        });
+        
+        try {
+            const response = await fetch(`/api/history?${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Gagal memuat history');
+            }
+            
+            // Daftar situs diisi dari history yang ada
+            const selected = elements.historyPlatform.value;
+            elements.historyPlatform.innerHTML = '<option value="">Semua situs</option>' + data.platforms
+                .map(p => `<option value="${escapeHtml(p)}" ${p === selected ? 'selected' : ''}>${escapeHtml(p)}</option>`)
+                .join('');
+            
+            elements.historyList.innerHTML = data.items.length > 0
+                ? data.items.map(renderHistoryItem).join('')
+                : '<div class="empty-state"><p>Belum ada history</p></div>';
+            
+            elements.historyPageInfo.textContent = `Halaman ${data.page} dari ${data.pages} (${data.total} job)`;
+            elements.historyPrevBtn.disabled = data.page <= 1;
+            elements.historyNextBtn.disabled = data.page >= data.pages;
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    };
+
+    const rerunHistory = async (id) => {
+        try {
+            const response = await fetch(`/api/history/${id}/rerun`, { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Gagal menjalankan ulang');
+            }
+            showToast('Download ditambahkan ke antrian', 'success');
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    };
+
+    const initHistoryPanel = () => {
+        const reload = () => {
+            state.historyPage = 1;
+            loadHistory();
+        };
+        
+        [elements.historyStatus, elements.historyType, elements.historyPlatform].forEach(select => {
+            select.addEventListener('change', reload);
+        });
+        elements.historySearch.addEventListener('input', () => {
+            clearTimeout(state.historySearchTimer);
+            state.historySearchTimer = setTimeout(reload, 300);
+        });
+        elements.historyPrevBtn.addEventListener('click', () => {
+            state.historyPage--;
+            loadHistory();
+        });
+        elements.historyNextBtn.addEventListener('click', () => {
+            state.historyPage++;
+            loadHistory();
+        });
+        elements.historyList.addEventListener('click', async (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn) return;
+            const id = btn.closest('.history-item').dataset.id;
+            if (btn.dataset.action === 'rerun') {
+                rerunHistory(id);
+                return;
+            }
+            try {
+                const data = await retryFailedItems(id);
+                showToast(data.message, 'success');
+            } catch (err) {
+                showToast(err.message, 'error');
+            }
+        });
+    };
+
+    const openHistoryModal = () => {
+        state.historyPage = 1;
+        loadHistory();
+        elements.historyModal.classList.add('active');
+    };
+
+    const closeHistoryModal = () => {
+        elements.historyModal.classList.remove('active');
+    };
+
+    // ========== Bulk Import ==========
+    const FORMAT_CHOICES = {
+        video: ['mp4', 'webm', 'mkv'],
+        audio: ['mp3', 'm4a', 'flac', 'opus', 'wav']
+    };
+    const QUALITY_CHOICES = ['360', '480', '720', '1080', '1440', '2160', 'best'];
+
+    /** Ambil semua URL http(s) unik dari teks bebas (paste, .txt, .csv) */
+    const extractUrls = (text) => {
+        const seen = new Set();
+        const urls = [];
+        for (const match of text.match(/https?:\/\/[^\s"'<>,;]+/gi) || []) {
+            // Tanda baca di akhir kalimat bukan bagian dari URL
+            const url = match.replace(/[.)\]}!?:]+$/, '');
+            if (!isValidUrl(url)) continue;
+            const key = new URL(url).href;
+            if (seen.has(key)) continue;
+            seen.add(key);
+            urls.push(url);
+        }
+        return urls;
+    };
+
+    const renderSelectOptions = (values, selected, label = (v) => v.toUpperCase()) => values
+        .map(v => `<option value="${v}" ${v === selected ? 'selected' : ''}>${label(v)}</option>`)
+        .join('');
+
+    const qualityLabel = (q) => q === 'best' ? 'Terbaik' : `${q}p`;
+
+    const renderImportRow = (row, index) => `
+        <tr data-index="${index}" class="${row.result ? `import-${row.result.ok ? 'ok' : 'failed'}` : ''}">
+            <td><input type="checkbox" data-field="include" ${row.include ? 'checked' : ''} ${row.result?.ok ? 'disabled' : ''}></td>
+            <td class="import-url" title="${escapeHtml(row.url)}">
+                ${escapeHtml(row.url)}
+                ${row.result ? `<span class="import-result">${row.result.ok ? '✓ Masuk antrian' : escapeHtml(row.result.error)}</span>` : ''}
+            </td>
+            <td>
+                <select class="custom-input" data-field="type">
+                    ${renderSelectOptions(['video', 'audio'], row.type, v => v === 'video' ? 'Video' : 'Audio')}
+                </select>
+            </td>
+            <td>
+                <select class="custom-input" data-field="format">
+                    ${renderSelectOptions(FORMAT_CHOICES[row.type], row.format)}
+                </select>
+            </td>
+            <td>
+                <select class="custom-input" data-field="quality" ${row.type === 'audio' ? 'disabled' : ''}>
+                    ${renderSelectOptions(QUALITY_CHOICES, row.quality, qualityLabel)}
+                </select>
+            </td>
+            <td>
+                <button class="btn-sm btn-queue-action" data-action="remove" title="Hapus dari daftar">
+                    <svg viewBox="0 0 24 24"><line x1="18" y1="6" x2="6" y2="18"/><line x1="6" y1="6" x2="18" y2="18"/></svg>
+                </button>
+            </td>
+        </tr>
+    `;
+
+    const updateImportSummary = () => {
+        const selected = state.importRows.filter(row => row.include).length;
+        elements.importSummary.textContent = state.importRows.length > 0
+            ? `${selected} dari ${state.importRows.length} URL dipilih`
+            : '';
+        elements.importSubmitBtn.disabled = selected === 0;
+    };
+
+    const renderImportReview = () => {
+        const hasRows = state.importRows.length > 0;
+        elements.importDefaults.style.display = hasRows ? 'flex' : 'none';
+        elements.importReview.innerHTML = hasRows ? `
+            <table class="import-table">
+                <thead>
+                    <tr><th></th><th>URL</th><th>Tipe</th><th>Format</th><th>Kualitas</th><th></th></tr>
+                </thead>
+                <tbody>${state.importRows.map(renderImportRow).join('')}</tbody>
+            </table>
+        ` : '';
+        updateImportSummary();
+    };
+
+    const syncImportDefaults = () => {
+        const type = elements.importAllType.value;
+        elements.importAllFormat.innerHTML = '<option value="">Format...</option>' + renderSelectOptions(FORMAT_CHOICES[type]);
+        elements.importAllQuality.innerHTML = '<option value="">Kualitas...</option>' + renderSelectOptions(QUALITY_CHOICES, null, qualityLabel);
+        elements.importAllQuality.disabled = type === 'audio';
+    };
+
+    /** Tambahkan URL dari teks ke daftar review, melewati yang sudah ada */
+    const importFromText = (text) => {
+        const existing = new Set(state.importRows.map(row => new URL(row.url).href));
+        const urls = extractUrls(text).filter(url => !existing.has(new URL(url).href));
+        
+        if (urls.length === 0) {
+            showToast('Tidak ada URL baru yang ditemukan', 'warning');
+            return;
+        }
+        
+        const type = elements.importAllType.value;
+        urls.forEach(url => state.importRows.push({
+            url,
+            type,
+            format: elements.importAllFormat.value || FORMAT_CHOICES[type][0],
+            quality: elements.importAllQuality.value || '1080',
+            include: true,
+            result: null
+        }));
+        elements.importText.value = '';
+        renderImportReview();
+        showToast(`${urls.length} URL ditambahkan ke daftar`, 'success');
+    };
+
+    const importFromFile = (file) => {
+        if (!/\.(txt|csv)$/i.test(file.name)) {
+            showToast('Hanya file .txt atau .csv yang didukung', 'error');
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => importFromText(reader.result);
+        reader.onerror = () => showToast('Gagal membaca file', 'error');
+        reader.readAsText(file);
+    };
+
+    /** Batas URL per request /api/batch (dari settings server) */
+    const getBatchLimit = async () => {
+        if (!state.settings) {
+            try {
+                const response = await fetch('/api/settings');
+                state.settings = (await response.json()).settings;
+            } catch (e) {
+                // Pakai default server
+            }
+        }
+        return state.settings?.MAX_BATCH_URLS || 100;
+    };
+
+    const submitImport = async () => {
+        const selected = state.importRows
+            .map((row, index) => ({ row, index }))
+            .filter(({ row }) => row.include);
+        if (selected.length === 0) return;
+        
+        elements.importSubmitBtn.disabled = true;
+        
+        // Pilihan di atas MAX_BATCH_URLS dikirim bertahap
+        const limit = await getBatchLimit();
+        const chunkCount = Math.ceil(selected.length / limit);
+        let accepted = 0;
+        let rejected = 0;
+        
+        try {
+            for (let start = 0; start < selected.length; start += limit) {
+                const chunk = selected.slice(start, start + limit);
+                if (chunkCount > 1) {
+                    elements.importSummary.textContent = `Mengirim bagian ${start / limit + 1} dari ${chunkCount}...`;
+                }
+                
+                let response;
+                let data;
+                // /api/batch ikut rate limit download: tunggu lalu kirim ulang bagian yang sama
+                for (;;) {
+                    response = await fetch('/api/batch', {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/json' },
+                        body: JSON.stringify({
+                            urls: chunk.map(({ row }) => ({
+                                url: row.url,
+                                type: row.type,
+                                format: row.format,
+                                ...(row.type === 'video' && { quality: row.quality })
+                            })),
+                            options: { priority: elements.importPriority.value }
+                        })
+                    });
+                    data = await response.json();
+                    if (response.status !== 429) break;
+                    await new Promise(resolve => setTimeout(resolve, (data.retryAfter || 5) * 1000));
+                }
+                if (!response.ok) {
+                    throw new Error(data.error || 'Gagal menambahkan batch');
+                }
+                
+                // Index di respons mengacu ke urutan item dalam bagian yang dikirim
+                data.jobs.forEach(job => {
+                    const row = state.importRows[chunk[job.index].index];
+                    row.result = { ok: true };
+                    row.include = false;
+                });
+                data.errors.forEach(err => {
+                    state.importRows[chunk[err.index].index].result = { ok: false, error: err.error };
+                });
+                accepted += data.accepted;
+                rejected += data.rejected;
+            }
+            
+            renderImportReview();
+            showToast(
+                `${accepted} URL masuk antrian${rejected > 0 ? `, ${rejected} ditolak` : ''}`,
+                rejected > 0 ? 'warning' : 'success'
+            );
+        } catch (e) {
+            // Bagian yang sudah terkirim tetap ditandai di tabel
+            renderImportReview();
+            showToast(accepted > 0 ? `${accepted} URL masuk antrian, sisanya gagal: ${e.message}` : e.message, 'error');
+        }
+    };
+
+    const initImportPanel = () => {
+        syncImportDefaults();
+        
+        elements.importExtractBtn.addEventListener('click', () => importFromText(elements.importText.value));
+        elements.importFile.addEventListener('change', () => {
+            const [file] = elements.importFile.files;
+            if (file) importFromFile(file);
+            elements.importFile.value = '';
+        });
+        
+        // Drag & drop file ke area teks
+        elements.importDropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            elements.importDropZone.classList.add('drag-over');
+        });
+        elements.importDropZone.addEventListener('dragleave', () => {
+            elements.importDropZone.classList.remove('drag-over');
+        });
+        elements.importDropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            elements.importDropZone.classList.remove('drag-over');
+            const [file] = e.dataTransfer.files;
+            if (file) {
+                importFromFile(file);
+            } else {
+                importFromText(e.dataTransfer.getData('text'));
+            }
+        });
+        
+        // Opsi "terapkan ke semua" untuk baris yang belum masuk antrian
+        elements.importAllType.addEventListener('change', () => {
+            const type = elements.importAllType.value;
+            syncImportDefaults();
+            state.importRows.filter(row => !row.result?.ok).forEach(row => {
+                row.type = type;
+                row.format = FORMAT_CHOICES[type][0];
+            });
+            renderImportReview();
+        });
+        [['importAllFormat', 'format'], ['importAllQuality', 'quality']].forEach(([key, field]) => {
+            elements[key].addEventListener('change', () => {
+                const value = elements[key].value;
+                if (!value) return;
+                state.importRows.filter(row => !row.result?.ok).forEach(row => {
+                    if (field === 'format' && !FORMAT_CHOICES[row.type].includes(value)) return;
+                    row[field] = value;
+                });
+                renderImportReview();
+            });
+        });
+        
+        elements.importReview.addEventListener('change', (e) => {
+            const field = e.target.dataset.field;
+            const tr = e.target.closest('tr[data-index]');
+            if (!field || !tr) return;
+            const row = state.importRows[tr.dataset.index];
+            
+            if (field === 'include') {
+                row.include = e.target.checked;
+                updateImportSummary();
+                return;
+            }
+            row[field] = e.target.value;
+            if (field === 'type') {
+                row.format = FORMAT_CHOICES[row.type][0];
+            }
+            row.result = null;
+            renderImportReview();
+        });
+        elements.importReview.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action="remove"]');
+            if (!btn) return;
+            state.importRows.splice(Number(btn.closest('tr[data-index]').dataset.index), 1);
+            renderImportReview();
+        });
+        
+        elements.importClearBtn.addEventListener('click', () => {
+            state.importRows = [];
+            elements.importText.value = '';
+            renderImportReview();
+        });
+        elements.importSubmitBtn.addEventListener('click', submitImport);
+    };
+
+    const openImportModal = () => {
+        renderImportReview();
+        elements.importModal.classList.add('active');
+        elements.importText.focus();
+    };
+
+    const closeImportModal = () => {
+        elements.importModal.classList.remove('active');
+    };
+
+    // ========== Subscriptions ==========
+    const formatDateTime = (timestamp) => timestamp ? new Date(timestamp).toLocaleString('id-ID') : '-';
+
+    const renderSubscriptionItem = (sub) => `
+        <div class="queue-item subscription-item ${sub.enabled ? '' : 'subscription-disabled'}" data-id="${sub.id}">
+            <span class="history-status ${sub.lastError ? 'history-error' : sub.lastCheckedAt ? 'history-finished' : ''}"
+                title="${sub.lastError ? 'Pengecekan terakhir gagal' : sub.lastCheckedAt ? 'OK' : 'Belum dicek'}"></span>
+            <div class="queue-info">
+                <span class="queue-title">${escapeHtml(sub.name)}</span>
+                <span class="file-meta">
+                    ${sub.preset.type === 'audio' ? 'Audio' : 'Video'} • ${escapeHtml((sub.preset.format || '').toUpperCase())}
+                    ${sub.preset.type === 'video' && sub.preset.quality ? '• ' + escapeHtml(sub.preset.quality) : ''}
+                    • ${sub.seenCount} item dilihat
+                </span>
+                <span class="file-meta">
+                    ${sub.checking ? 'Sedang dicek...' : `Dicek: ${formatDateTime(sub.lastCheckedAt)}`}
+                    • Item baru terakhir: ${sub.lastNewAt ? `${formatDateTime(sub.lastNewAt)} (${sub.lastNewCount})` : '-'}
+                    ${sub.enabled ? `• Berikutnya: ${formatDateTime(sub.nextCheckAt)}` : '• Nonaktif'}
+                </span>
+                ${sub.lastError ? `<span class="file-meta history-error">${escapeHtml(sub.lastError)}</span>` : ''}
+            </div>
+            <div class="file-actions">
+                <button class="btn-sm btn-queue-action" data-action="check" title="Cek sekarang" ${sub.checking ? 'disabled' : ''}>
+                    <svg viewBox="0 0 24 24"><path d="M21 12a9 9 0 1 1-3-6.7"/><polyline points="21 3 21 9 15 9"/></svg>
+                </button>
+                <button class="btn-sm btn-queue-action" data-action="toggle" title="${sub.enabled ? 'Nonaktifkan' : 'Aktifkan'}">
+                    ${sub.enabled
+                        ? '<svg viewBox="0 0 24 24"><rect x="6" y="4" width="4" height="16"/><rect x="14" y="4" width="4" height="16"/></svg>'
+                        : '<svg viewBox="0 0 24 24"><polygon points="5 3 19 12 5 21 5 3"/></svg>'}
+                </button>
+                <button class="btn-sm btn-queue-action" data-action="delete" title="Hapus subscription">
+                    <svg viewBox="0 0 24 24"><polyline points="3 6 5 6 21 6"/><path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2"/></svg>
+                </button>
+            </div>
+        </div>
+    `;
+
+    const loadSubscriptions = async () => {
+        try {
+            const response = await fetch('/api/subscriptions');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Gagal memuat subscriptions');
+            }
+            
+            elements.subscriptionList.innerHTML = data.subscriptions.length > 0
+                ? data.subscriptions.map(renderSubscriptionItem).join('')
+                : '<div class="empty-state"><p>Belum ada subscription</p></div>';
+            elements.subscriptionInfo.textContent =
+                `${data.subscriptions.length} subscription • dicek tiap ${Math.round(data.checkIntervalMs / 60000)} menit`;
+        } catch (e) {
+            showToast(e.message, 'error');
+        }
+    };
+
+    const subscriptionRequest = async (url, method, body) => {
+        const response = await fetch(url, {
+            method,
+            headers: { 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Request gagal');
+        }
+        return data;
+    };
+
+    const syncSubscriptionPreset = () => {
+        const type = elements.subscriptionType.value;
+        elements.subscriptionFormat.innerHTML = renderSelectOptions(FORMAT_CHOICES[type], FORMAT_CHOICES[type][0]);
+        elements.subscriptionQuality.innerHTML = renderSelectOptions(QUALITY_CHOICES, '1080', qualityLabel);
+        elements.subscriptionQuality.disabled = type === 'audio';
+    };
+
+    const addSubscription = async (e) => {
+        e.preventDefault();
+        const type = elements.subscriptionType.value;
+        
+        try {
+            await subscriptionRequest('/api/subscriptions', 'POST', {
+                url: elements.subscriptionUrl.value.trim(),
+                name: elements.subscriptionName.value.trim() || undefined,
+                type,
+                format: elements.subscriptionFormat.value,
+                ...(type === 'video' && { quality: elements.subscriptionQuality.value }),
+                includeExisting: elements.subscriptionIncludeExisting.checked
+            });
+            elements.subscriptionForm.reset();
+            syncSubscriptionPreset();
+            showToast('Subscription ditambahkan, mengecek item...', 'success');
+            loadSubscriptions();
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+    };
+
+    const handleSubscriptionAction = async (action, id) => {
+        try {
+            if (action === 'check') {
+                const data = await subscriptionRequest(`/api/subscriptions/${id}/check`, 'POST');
+                showToast(data.message, data.queued > 0 ? 'success' : 'info');
+            } else if (action === 'toggle') {
+                const enabled = elements.subscriptionList
+                    .querySelector(`[data-id="${id}"]`).classList.contains('subscription-disabled');
+                await subscriptionRequest(`/api/subscriptions/${id}`, 'PATCH', { enabled });
+            } else if (action === 'delete') {
+                if (!confirm('Hapus subscription ini? Download yang sudah diantrikan tetap berjalan.')) return;
+                await subscriptionRequest(`/api/subscriptions/${id}`, 'DELETE');
+            }
+        } catch (err) {
+            showToast(err.message, 'error');
+        }
+        loadSubscriptions();
+    };
+
+    const initSubscriptionsPanel = () => {
+        syncSubscriptionPreset();
+        elements.subscriptionType.addEventListener('change', syncSubscriptionPreset);
+        elements.subscriptionForm.addEventListener('submit', addSubscription);
+        elements.subscriptionList.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action]');
+            if (!btn || btn.disabled) return;
+            handleSubscriptionAction(btn.dataset.action, btn.closest('.subscription-item').dataset.id);
+        });
+    };
+
+    const openSubscriptionsModal = () => {
+        loadSubscriptions();
+        // Refresh berkala agar status pengecekan terlihat
+        clearInterval(state.subscriptionPollTimer);
+        state.subscriptionPollTimer = setInterval(loadSubscriptions, 5000);
+        elements.subscriptionsModal.classList.add('active');
+    };
+
+    const closeSubscriptionsModal = () => {
+        clearInterval(state.subscriptionPollTimer);
+        state.subscriptionPollTimer = null;
+        elements.subscriptionsModal.classList.remove('active');
+    };
+
     const openFileModal = () => {
         loadFileList();
         elements.fileModal.classList.add('active');
@@ -915,14 +2557,88 @@
         elements.fetchBtn.addEventListener('click', fetchVideoInfo);
         elements.downloadBtn.addEventListener('click', startDownload);
         elements.cancelBtn.addEventListener('click', cancelDownload);
+        elements.resumeBtn.addEventListener('click', resumeDownload);
+        elements.pauseBtn.addEventListener('click', pauseDownload);
+        elements.progressItemsToggle.addEventListener('click', toggleProgressItems);
         elements.newDownloadBtn.addEventListener('click', resetAll);
         
+        // Item picker
+        elements.itemList.addEventListener('change', updateItemPickerCount);
+        elements.itemSelectAllBtn.addEventListener('click', () => setAllItems(true));
+        elements.itemSelectNoneBtn.addEventListener('click', () => setAllItems(false));
+        elements.itemRange.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                applyItemRange();
+            }
+        });
+        
+        // Normalisasi dan ReplayGain saling meniadakan
+        elements.normalizeAudio.addEventListener('change', () => {
+            if (elements.normalizeAudio.checked) elements.replayGain.checked = false;
+        });
+        elements.replayGain.addEventListener('change', () => {
+            if (elements.replayGain.checked) elements.normalizeAudio.checked = false;
+        });
+        
+        // Cue sheet hanya relevan untuk merge audio
+        elements.mergeAudio.addEventListener('change', updateCueSheetOption);
+        elements.mergeTransition.addEventListener('change', updateMergeTransition);
+        
+        // Clip ranges
+        elements.addClipRangeBtn.addEventListener('click', addClipRange);
+        elements.clipRanges.addEventListener('click', (e) => {
+            const btn = e.target.closest('.clip-remove');
+            if (btn) btn.closest('.clip-range').remove();
+        });
+        
+        // Chapter picker
+        elements.splitChapters.addEventListener('change', toggleChapterPicker);
+        elements.chapterList.addEventListener('change', updateChapterCount);
+        elements.chapterSelectAllBtn.addEventListener('click', () => setAllChapters(true));
+        elements.chapterSelectNoneBtn.addEventListener('click', () => setAllChapters(false));
+        
         // File manager
         elements.showFilesBtn.addEventListener('click', openFileModal);
         elements.refreshFilesBtn.addEventListener('click', loadFileList);
         elements.closeModalBtn.addEventListener('click', closeFileModal);
         elements.fileModal.querySelector('.modal-overlay').addEventListener('click', closeFileModal);
         
+        // Queue manager
+        elements.showQueueBtn.addEventListener('click', openQueueModal);
+        elements.closeQueueModalBtn.addEventListener('click', closeQueueModal);
+        elements.queueModal.querySelector('.modal-overlay').addEventListener('click', closeQueueModal);
+        initQueueDragAndDrop();
+        
+        // Bulk import
+        elements.bulkImportBtn.addEventListener('click', openImportModal);
+        elements.closeImportModalBtn.addEventListener('click', closeImportModal);
+        elements.importModal.querySelector('.modal-overlay').addEventListener('click', closeImportModal);
+        initImportPanel();
+        
+        // Subscriptions
+        elements.showSubscriptionsBtn.addEventListener('click', openSubscriptionsModal);
+        elements.closeSubscriptionsModalBtn.addEventListener('click', closeSubscriptionsModal);
+        elements.subscriptionsModal.querySelector('.modal-overlay').addEventListener('click', closeSubscriptionsModal);
+        initSubscriptionsPanel();
+        
+        // History
+        elements.showHistoryBtn.addEventListener('click', openHistoryModal);
+        elements.closeHistoryModalBtn.addEventListener('click', closeHistoryModal);
+        elements.historyModal.querySelector('.modal-overlay').addEventListener('click', closeHistoryModal);
+        initHistoryPanel();
+        
+        // Settings
+        elements.showSettingsBtn.addEventListener('click', openSettingsModal);
+        elements.closeSettingsModalBtn.addEventListener('click', closeSettingsModal);
+        elements.settingsModal.querySelector('.modal-overlay').addEventListener('click', closeSettingsModal);
+        elements.saveSettingsBtn.addEventListener('click', () => saveSettings(false));
+        elements.resetSettingsBtn.addEventListener('click', () => {
+            if (confirm('Kembalikan semua settings ke default?')) {
+                saveSettings(true);
+            }
+        });
+        
         // Theme
         elements.themeToggle.addEventListener('click', toggleTheme);
         
@@ -930,6 +2646,11 @@
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
                 closeFileModal();
+                closeQueueModal();
+                closeHistoryModal();
+                closeImportModal();
+                closeSubscriptionsModal();
+                closeSettingsModal();
             }
         });
     };
@@ -7,15 +7,32 @@
  * 
  * FEATURES:
  * - Multi-platform support (YouTube, TikTok, Vimeo, etc.)
- * - FIFO Queue with max 2 concurrent downloads
+ * - Priority queue (high/normal/low) with max 2 concurrent downloads
+ * - Scheduled downloads (startAt, mis. jalan tengah malam)
+ * - Auto retry with exponential backoff (error sementara / HTTP 429)
+ * - Per-platform concurrency limit (hindari throttling per situs)
+ * - Bandwidth limit (global, per job, jadwal per jam)
+ * - Queue reorder (move front/back, drag & drop order)
  * - Real-time SSE progress with hardening
  * - Cancel download with complete cleanup
+ * - Pause / resume download (partial files kept)
  * - Auto cleanup progress map (10 min after completion)
  * - Auto cleanup downloaded files (>24 hours)
+ * - Batch download (banyak URL sekaligus via /api/batch)
  * - Rate limiting for /api/download and /api/info
  * - 30 minute timeout with graceful handling
  * - Download duration logging
  * - Playlist merge limit (max 50 videos)
+ * - Pilih sebagian item playlist (--playlist-items)
+ * - Playlist video (subfolder per playlist, nama file bernomor)
+ * - Progress per item playlist (status, persen, ukuran, error) via SSE
+ * - Mode ignore-errors: item playlist yang gagal dilewati, bisa dicoba lagi
+ * - Merge playlist video jadi satu MP4/MKV (chapter per video)
+ * - Pisah audio per chapter (track bernomor + tag album/artist/cover)
+ * - Download klip (satu atau beberapa rentang waktu) dari satu video
+ * - Merge audio dengan chapter per track, tracklist .txt dan cue sheet
+ * - Merge audio: potong hening, jeda antar track atau crossfade
+ * - Normalisasi loudness dua pass (EBU R128) dan tag ReplayGain
  * - Strict security validation
  * - Custom filename support
  * - Subtitle download support
@@ -23,14 +40,23 @@
  * - Automatic platform detection
  * - High compatibility mode (H.264/AAC re-encoding)
  * - Graceful shutdown
+ * - Persistent job store (queue survives restart)
+ * - Download history with re-run
+ * - Download archive (skip video yang sudah pernah didownload)
+ * - Subscriptions (cek channel/playlist berkala, upload baru otomatis diantrikan)
+ * - Podcast RSS/Atom feed (pilih episode, tag metadata episode)
+ * - Runtime settings (config.json + env override, tanpa restart)
  * - Electron desktop app support
  * ============================================================
  */
 
 const express = require('express');
 const { spawn } = require('child_process');
+const { once } = require('events');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const { v4: uuidv4 } = require('uuid');
 const rateLimit = require('express-rate-limit');
 
@@ -65,9 +91,21 @@ const FFMPEG_PATH = (() => {
 // ============================================================
 // KONFIGURASI
 // ============================================================
-const CONFIG = {
+// Nilai default. Bisa di-override lewat config.json (di basePath),
+// environment variable UNIVIDOWN_<KEY>, atau GET/PUT /api/settings.
+const DEFAULT_CONFIG = {
     // Queue & Concurrency
     MAX_CONCURRENT_DOWNLOADS: 2,
+    MAX_PER_PLATFORM: 2,                         // Default per situs
+    PLATFORM_LIMITS: {},                         // Override per situs, mis. { youtube: 1 }
+    
+    // Bandwidth (KB/s, 0 = tanpa batas)
+    BANDWIDTH_LIMIT_KBPS: 0,                     // Dibagi rata ke semua download aktif
+    BANDWIDTH_SCHEDULE: [],                      // Mis. [{ from: '08:00', to: '17:00', limitKBps: 512 }]
+    
+    // Retry otomatis (error jaringan / HTTP 429)
+    RETRY_MAX_ATTEMPTS: 3,                       // Total percobaan termasuk yang pertama
+    RETRY_BASE_DELAY_MS: 30 * 1000,              // Jeda awal, berlipat dua tiap percobaan
     
     // Timeouts
     DOWNLOAD_TIMEOUT_MS: 30 * 60 * 1000,        // 30 menit
@@ -79,6 +117,15 @@ const CONFIG = {
     LONG_DURATION_WARNING_SEC: 3600,             // 1 jam
     MAX_FILE_SIZE_BYTES: 5 * 1024 * 1024 * 1024, // 5GB
     MAX_FILENAME_LENGTH: 150,                    // Max karakter nama file
+    HISTORY_MAX_ENTRIES: 1000,                   // Entri history yang disimpan
+    MAX_BATCH_URLS: 100,                         // URL per request /api/batch
+    
+    // Audio
+    LOUDNESS_TARGET_LUFS: -16,                   // Target normalisasi loudness (EBU R128)
+    
+    // Subscriptions (channel / playlist yang dicek berkala)
+    SUBSCRIPTION_CHECK_INTERVAL_MS: 60 * 60 * 1000, // 1 jam
+    SUBSCRIPTION_SCAN_LIMIT: 50,                 // Item terbaru yang dicek per subscription
     
     // Cleanup
     FILE_MAX_AGE_MS: 24 * 60 * 60 * 1000,        // 24 jam
@@ -88,6 +135,10 @@ const CONFIG = {
     // SSE
     HEARTBEAT_INTERVAL_MS: 15000,
     
+    // Cache hasil /api/info (platform, durasi) untuk dipakai /api/download
+    INFO_CACHE_TTL_MS: 60 * 60 * 1000,          // 1 jam
+    INFO_CACHE_MAX_ENTRIES: 200,
+    
     // Rate Limiting
     DOWNLOAD_RATE_WINDOW_MS: 5000,
     DOWNLOAD_RATE_MAX: 1,
@@ -95,14 +146,17 @@ const CONFIG = {
     INFO_RATE_MAX: 3
 };
 
+const CONFIG = { ...DEFAULT_CONFIG };
+
 // ============================================================
 // DIREKTORI
 // ============================================================
 const downloadsDir = path.join(basePath, 'downloads');
 const tempDir = path.join(basePath, 'temp');
 const subtitlesDir = path.join(basePath, 'downloads', 'subtitles');
+const dataDir = path.join(basePath, 'data');
 
-[downloadsDir, tempDir, subtitlesDir].forEach(dir => {
+[downloadsDir, tempDir, subtitlesDir, dataDir].forEach(dir => {
     if (!fs.existsSync(dir)) {
         fs.mkdirSync(dir, { recursive: true });
     }
@@ -118,12 +172,22 @@ console.log(`[UniviDown] ffmpeg: ${FFMPEG_PATH}`);
 // STATE MANAGEMENT
 // ============================================================
 let activeDownloads = 0;
-const downloadQueue = [];               // FIFO queue
+const downloadQueue = [];               // Antrian (urut prioritas, bisa diatur ulang)
+const runningJobs = new Set();          // Job yang sedang diproses
 const downloadProgress = new Map();     // Progress data
 const sseClients = new Map();           // SSE connections
 const activeProcesses = new Map();      // Active yt-dlp/ffmpeg processes
 const downloadTimeouts = new Map();     // Timeout timers
 const progressCleanupTimers = new Map(); // Cleanup timers untuk progress map
+const jobStore = new Map();             // Job persisten (opsi asli per download)
+const infoCache = new Map();            // Cache hasil /api/info per URL
+const scheduledJobs = new Map();        // Job terjadwal (belum masuk antrian)
+
+// Status akhir - job tidak akan berubah lagi
+const FINAL_STATUSES = ['finished', 'error', 'cancelled'];
+
+// Prioritas antrian (angka kecil = didahulukan)
+const PRIORITY_RANK = { high: 0, normal: 1, low: 2 };
 
 // ============================================================
 // LOGGING UTILITY
@@ -137,1361 +201,4517 @@ const log = {
 };
 
 // ============================================================
-// QUEUE MANAGEMENT (FIFO)
+// SETTINGS (PERSISTEN)
 // ============================================================
+// Setting yang boleh diubah saat runtime beserta batas validasinya.
+// Urutan override: default < config.json < environment variable.
+
+const configFile = path.join(basePath, 'config.json');
+
+const SETTINGS_SCHEMA = {
+    MAX_CONCURRENT_DOWNLOADS: { min: 1, max: 10 },
+    MAX_PER_PLATFORM: { min: 1, max: 10 },
+    PLATFORM_LIMITS: { type: 'platformMap', min: 1, max: 10 },
+    BANDWIDTH_LIMIT_KBPS: { min: 0, max: 1000000 },
+    BANDWIDTH_SCHEDULE: { type: 'bandwidthSchedule', min: 0, max: 1000000, maxRules: 10 },
+    RETRY_MAX_ATTEMPTS: { min: 1, max: 10 },
+    RETRY_BASE_DELAY_MS: { min: 1000, max: 60 * 60 * 1000 },
+    DOWNLOAD_TIMEOUT_MS: { min: 60 * 1000, max: 24 * 60 * 60 * 1000 },
+    INFO_TIMEOUT_MS: { min: 5 * 1000, max: 5 * 60 * 1000 },
+    MAX_PLAYLIST_MERGE: { min: 1, max: 500 },
+    LONG_DURATION_WARNING_SEC: { min: 60, max: 24 * 60 * 60 },
+    MAX_FILE_SIZE_BYTES: { min: 1024 * 1024, max: 100 * 1024 * 1024 * 1024 },
+    HISTORY_MAX_ENTRIES: { min: 50, max: 100000 },
+    MAX_BATCH_URLS: { min: 1, max: 1000 },
+    LOUDNESS_TARGET_LUFS: { min: -30, max: -5 },
+    SUBSCRIPTION_CHECK_INTERVAL_MS: { min: 5 * 60 * 1000, max: 7 * 24 * 60 * 60 * 1000 },
+    SUBSCRIPTION_SCAN_LIMIT: { min: 5, max: 500 },
+    FILE_MAX_AGE_MS: { min: 60 * 60 * 1000, max: 30 * 24 * 60 * 60 * 1000 },
+    PROGRESS_CLEANUP_MS: { min: 60 * 1000, max: 24 * 60 * 60 * 1000 },
+    CLEANUP_INTERVAL_MS: { min: 5 * 60 * 1000, max: 24 * 60 * 60 * 1000 },
+    DOWNLOAD_RATE_WINDOW_MS: { min: 1000, max: 10 * 60 * 1000 },
+    DOWNLOAD_RATE_MAX: { min: 1, max: 100 },
+    INFO_RATE_WINDOW_MS: { min: 1000, max: 10 * 60 * 1000 },
+    INFO_RATE_MAX: { min: 1, max: 100 }
+};
+
+let fileSettings = {};      // Isi config.json
+let envSettings = {};       // Override dari environment variable
 
 /**
- * Menambahkan download ke antrian FIFO
+ * Validasi satu nilai setting, return pesan error atau null
  */
-function enqueueDownload(downloadId, task) {
-    downloadQueue.push({ downloadId, task, addedAt: Date.now() });
-    
-    const queuePosition = downloadQueue.length;
-    updateProgress(downloadId, {
-        status: 'queued',
-        progress: 0,
-        message: `Menunggu antrian... (Posisi: ${queuePosition})`,
-        queuePosition,
-        canCancel: true
-    });
-    
-    log.info(`Download ${downloadId.slice(0, 8)} masuk antrian (posisi ${queuePosition})`);
-    processQueue();
+function validateSetting(key, value) {
+    const rule = SETTINGS_SCHEMA[key];
+    if (!rule) return 'Setting tidak dikenal';
+    if (rule.type === 'platformMap') {
+        if (!value || typeof value !== 'object' || Array.isArray(value)) return 'Harus berupa object { platform: limit }';
+        for (const [platform, limit] of Object.entries(value)) {
+            if (!/^[a-z0-9]+$/.test(platform)) return `Nama platform "${platform}" tidak valid`;
+            if (!Number.isInteger(limit) || limit < rule.min || limit > rule.max) {
+                return `Limit ${platform} harus antara ${rule.min} dan ${rule.max}`;
+            }
+        }
+        return null;
+    }
+    if (rule.type === 'bandwidthSchedule') {
+        if (!Array.isArray(value)) return 'Harus berupa array [{ from, to, limitKBps }]';
+        if (value.length > rule.maxRules) return `Maksimal ${rule.maxRules} jadwal`;
+        for (const item of value) {
+            if (!item || parseClockTime(item.from) === null || parseClockTime(item.to) === null) {
+                return 'Jam harus format HH:MM (00:00 - 23:59)';
+            }
+            if (item.from === item.to) return `Jadwal ${item.from}-${item.to} tidak punya durasi`;
+            if (!Number.isInteger(item.limitKBps) || item.limitKBps < rule.min || item.limitKBps > rule.max) {
+                return `Limit jadwal ${item.from}-${item.to} harus antara ${rule.min} dan ${rule.max} KB/s`;
+            }
+        }
+        return null;
+    }
+    if (!Number.isInteger(value)) return 'Harus bilangan bulat';
+    if (value < rule.min || value > rule.max) return `Harus antara ${rule.min} dan ${rule.max}`;
+    return null;
 }
 
 /**
- * Memproses antrian FIFO
+ * Menyusun ulang CONFIG dari default, config.json dan env
  */
-function processQueue() {
-    while (activeDownloads < CONFIG.MAX_CONCURRENT_DOWNLOADS && downloadQueue.length > 0) {
-        // FIFO: ambil dari depan antrian
-        const { downloadId, task } = downloadQueue.shift();
-        activeDownloads++;
-        
-        // Update posisi antrian untuk semua yang tersisa
-        broadcastQueuePositions();
-        
-        log.info(`Memproses download ${downloadId.slice(0, 8)} (aktif: ${activeDownloads}/${CONFIG.MAX_CONCURRENT_DOWNLOADS})`);
-        
-        task()
-            .catch(err => log.error(`Download ${downloadId.slice(0, 8)} error: ${err.message}`))
-            .finally(() => {
-                activeDownloads--;
-                activeProcesses.delete(downloadId);
-                clearTimeout(downloadTimeouts.get(downloadId));
-                downloadTimeouts.delete(downloadId);
-                processQueue();
+function rebuildConfig() {
+    Object.assign(CONFIG, DEFAULT_CONFIG, fileSettings, envSettings);
+}
+
+/**
+ * Memuat config.json dan environment variable saat start.
+ * Nilai yang tidak valid diabaikan dengan peringatan.
+ */
+function loadSettings() {
+    if (fs.existsSync(configFile)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+            Object.entries(data).forEach(([key, value]) => {
+                const error = validateSetting(key, value);
+                if (error) {
+                    log.warn(`config.json: ${key} diabaikan (${error})`);
+                } else {
+                    fileSettings[key] = value;
+                }
             });
+        } catch (err) {
+            log.error(`config.json tidak bisa dibaca: ${err.message}`);
+        }
     }
+
+    Object.keys(SETTINGS_SCHEMA).forEach(key => {
+        const raw = process.env[`UNIVIDOWN_${key}`];
+        if (raw === undefined || raw === '') return;
+        let value;
+        if (SETTINGS_SCHEMA[key].type) {
+            try { value = JSON.parse(raw); } catch { value = null; }
+        } else {
+            value = Number(raw);
+        }
+        const error = validateSetting(key, value);
+        if (error) {
+            log.warn(`UNIVIDOWN_${key} diabaikan (${error})`);
+        } else {
+            envSettings[key] = value;
+        }
+    });
+
+    rebuildConfig();
 }
 
 /**
- * Broadcast update posisi antrian ke semua client yang menunggu
+ * Menyimpan perubahan setting ke config.json lalu menerapkannya.
+ * Nilai null mengembalikan setting ke default.
  */
-function broadcastQueuePositions() {
-    downloadQueue.forEach((item, index) => {
-        updateProgress(item.downloadId, {
-            status: 'queued',
-            progress: 0,
-            message: `Menunggu antrian... (Posisi: ${index + 1})`,
-            queuePosition: index + 1
-        });
+function updateSettings(changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+        if (value === null) {
+            delete fileSettings[key];
+        } else {
+            fileSettings[key] = value;
+        }
     });
+
+    const tmpFile = `${configFile}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(fileSettings, null, 2));
+    fs.renameSync(tmpFile, configFile);
+
+    rebuildConfig();
+    applySettings();
 }
 
 /**
- * Menghapus download dari antrian
+ * Menerapkan setting baru ke komponen yang sudah berjalan
  */
-function removeFromQueue(downloadId) {
-    const index = downloadQueue.findIndex(item => item.downloadId === downloadId);
-    if (index !== -1) {
-        downloadQueue.splice(index, 1);
-        // Update posisi untuk yang tersisa via SSE
-        broadcastQueuePositions();
-        return true;
-    }
-    return false;
+function applySettings() {
+    applyRateLimitWindows();
+    
+    clearInterval(cleanupInterval);
+    cleanupInterval = setInterval(runPeriodicCleanup, CONFIG.CLEANUP_INTERVAL_MS);
+    
+    // Slot concurrency mungkin bertambah
+    processQueue();
+    
+    // Batas bandwidth mungkin berubah
+    applyBandwidthLimits();
+}
+
+function getEditableSettings() {
+    return Object.keys(SETTINGS_SCHEMA).reduce((acc, key) => {
+        acc[key] = CONFIG[key];
+        return acc;
+    }, {});
 }
 
+loadSettings();
+
 // ============================================================
-// PROGRESS MAP CLEANUP
+// JOB STORE (PERSISTEN)
 // ============================================================
+// Semua job disimpan ke data/jobs.json agar antrian dan status
+// tidak hilang saat server / aplikasi Electron di-restart.
+
+const jobsFile = path.join(dataDir, 'jobs.json');
+let jobStoreSaveTimer = null;
 
 /**
- * Menjadwalkan cleanup progress map 10 menit setelah selesai
+ * Mendaftarkan job baru beserta opsi aslinya
  */
-function scheduleProgressCleanup(downloadId) {
-    // Clear timer lama jika ada
-    if (progressCleanupTimers.has(downloadId)) {
-        clearTimeout(progressCleanupTimers.get(downloadId));
+function registerJob(downloadId, options) {
+    jobStore.set(downloadId, {
+        downloadId,
+        options,
+        createdAt: Date.now()
+    });
+}
+
+/**
+ * Membuat job baru: daftarkan, inisialisasi progress, lalu
+ * masukkan ke antrian sesuai prioritas (atau jadwalkan)
+ */
+function createDownloadJob(options, startAt = null) {
+    const downloadId = uuidv4();
+    registerJob(downloadId, options);
+
+    // Inisialisasi progress
+    updateProgress(downloadId, {
+        status: 'queued',
+        progress: 0,
+        message: 'Menunggu antrian...',
+        type: options.type,
+        format: options.format,
+        files: [],
+        canCancel: true,
+        startedAt: Date.now()
+    });
+
+    if (startAt) {
+        scheduleDownload(downloadId, options, startAt);
+    } else {
+        enqueueDownload(downloadId, options);
     }
-    
-    const timer = setTimeout(() => {
-        downloadProgress.delete(downloadId);
-        sseClients.delete(downloadId);
-        progressCleanupTimers.delete(downloadId);
-        log.info(`Progress ${downloadId.slice(0, 8)} dibersihkan dari memory`);
-    }, CONFIG.PROGRESS_CLEANUP_MS);
-    
-    progressCleanupTimers.set(downloadId, timer);
+    return downloadId;
 }
 
-// ============================================================
-// AUTO CLEANUP FILES
-// ============================================================
+/**
+ * Menulis job store ke disk secara atomik (tulis file sementara lalu rename)
+ */
+function saveJobStore() {
+    clearTimeout(jobStoreSaveTimer);
+    jobStoreSaveTimer = null;
+
+    const data = {
+        version: 1,
+        savedAt: Date.now(),
+        queue: downloadQueue.map(item => item.downloadId),
+        jobs: Array.from(jobStore.values()).map(job => ({
+            ...job,
+            progress: downloadProgress.get(job.downloadId) || null
+        }))
+    };
 
-function cleanupTempFiles() {
     try {
-        if (fs.existsSync(tempDir)) {
-            const items = fs.readdirSync(tempDir);
-            let count = 0;
-            items.forEach(item => {
-                const itemPath = path.join(tempDir, item);
-                try {
-                    if (isPathSafe(itemPath, tempDir)) {
-                        const stats = fs.statSync(itemPath);
-                        if (stats.isDirectory()) {
-                            fs.rmSync(itemPath, { recursive: true, force: true });
-                        } else {
-                            fs.unlinkSync(itemPath);
-                        }
-                        count++;
-                    }
-                } catch (err) {
-                    log.warn(`Gagal hapus temp ${item}: ${err.message}`);
-                }
-            });
-            if (count > 0) {
-                log.success(`Folder temp dibersihkan (${count} item)`);
-            }
-        }
+        const tmpFile = `${jobsFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify(data, null, 2));
+        fs.renameSync(tmpFile, jobsFile);
     } catch (err) {
-        log.error(`Cleanup temp error: ${err.message}`);
+        log.error(`Gagal menyimpan job store: ${err.message}`);
     }
 }
 
-function cleanupOldDownloads() {
-    try {
-        const now = Date.now();
-        const files = fs.readdirSync(downloadsDir);
-        let deletedCount = 0;
-        
-        files.forEach(file => {
-            const filePath = path.join(downloadsDir, file);
-            try {
-                const stats = fs.statSync(filePath);
-                if (stats.isFile() && now - stats.mtimeMs > CONFIG.FILE_MAX_AGE_MS) {
-                    if (isPathSafe(filePath, downloadsDir)) {
-                        fs.unlinkSync(filePath);
-                        deletedCount++;
-                    }
-                }
-            } catch (err) {
-                log.warn(`Gagal hapus ${file}: ${err.message}`);
-            }
-        });
-        
-        if (deletedCount > 0) {
-            log.success(`${deletedCount} file lama (>24 jam) dihapus`);
-        }
-    } catch (err) {
-        log.error(`Cleanup downloads error: ${err.message}`);
+/**
+ * Menjadwalkan penyimpanan job store (debounce 1 detik)
+ */
+function persistJobs() {
+    if (!jobStoreSaveTimer) {
+        jobStoreSaveTimer = setTimeout(saveJobStore, 1000);
     }
 }
 
-function cleanupDir(dir) {
+/**
+ * Memuat job store saat server start.
+ * - Job 'queued' dimasukkan kembali ke antrian sesuai urutan semula
+ * - Job 'scheduled' / 'retrying' dijadwalkan ulang (langsung antri kalau waktunya lewat)
+ * - Job yang sedang berjalan ditandai 'interrupted' dengan opsi aslinya
+ * - Job final dipulihkan ke progress map lalu dijadwalkan cleanup
+ */
+function loadJobStore() {
+    if (!fs.existsSync(jobsFile)) return;
+
+    let data;
     try {
-        if (dir && fs.existsSync(dir) && isPathSafe(dir, tempDir)) {
-            fs.rmSync(dir, { recursive: true, force: true });
-        }
+        data = JSON.parse(fs.readFileSync(jobsFile, 'utf8'));
     } catch (err) {
-        log.warn(`Cleanup dir error: ${err.message}`);
+        log.error(`Job store rusak, diabaikan: ${err.message}`);
+        return;
     }
-}
 
-// Jalankan cleanup saat server start
-cleanupTempFiles();
-cleanupOldDownloads();
+    const jobs = Array.isArray(data.jobs) ? data.jobs : [];
+    const queueOrder = Array.isArray(data.queue) ? data.queue : [];
+    const requeue = [];
+    const scheduled = [];
+    let interrupted = 0;
+
+    jobs.forEach(job => {
+        if (!job || !job.downloadId || !job.options) return;
+        const { progress, ...record } = job;
+        const status = progress?.status;
+
+        jobStore.set(job.downloadId, record);
+
+        if (status === 'queued') {
+            downloadProgress.set(job.downloadId, progress);
+            requeue.push(job.downloadId);
+        } else if (status === 'scheduled' || status === 'retrying') {
+            downloadProgress.set(job.downloadId, progress);
+            scheduled.push(job.downloadId);
+        } else if (status === 'paused') {
+            downloadProgress.set(job.downloadId, progress);
+        } else if (FINAL_STATUSES.includes(status)) {
+            downloadProgress.set(job.downloadId, progress);
+            if (!progress.resumable) {
+                scheduleProgressCleanup(job.downloadId);
+            }
+        } else {
+            downloadProgress.set(job.downloadId, {
+                ...progress,
+                downloadId: job.downloadId,
+                status: 'interrupted',
+                progress: 0,
+                message: 'Download terhenti karena server berhenti',
+                canCancel: true,
+                resumable: true,
+                timestamp: Date.now()
+            });
+            interrupted++;
+        }
+    });
 
-// Periodic cleanup setiap 1 jam
-setInterval(() => {
-    cleanupOldDownloads();
-    cleanupTempFiles();
-}, CONFIG.CLEANUP_INTERVAL_MS);
+    // Pertahankan urutan antrian semula
+    requeue.sort((a, b) => {
+        const ia = queueOrder.indexOf(a);
+        const ib = queueOrder.indexOf(b);
+        return (ia === -1 ? Infinity : ia) - (ib === -1 ? Infinity : ib);
+    });
+    requeue.forEach(id => enqueueDownload(id, jobStore.get(id).options, downloadQueue.length));
+    scheduled.forEach(id => {
+        const progress = downloadProgress.get(id);
+        const override = progress.status === 'retrying' ? { status: 'retrying', message: progress.message } : {};
+        scheduleDownload(id, jobStore.get(id).options, progress.startAt, override);
+    });
+
+    log.info(`Job store dimuat: ${requeue.length} antrian, ${scheduled.length} terjadwal, ${interrupted} terputus`);
+    saveJobStore();
+}
 
 // ============================================================
-// MIDDLEWARE
+// HISTORY (PERSISTEN)
 // ============================================================
+// Catatan permanen setiap job yang selesai / gagal / dibatalkan.
+// Tetap ada setelah scheduleProgressCleanup menghapus job dari memori.
 
-app.use(express.json({ limit: '1mb' }));
-app.use(express.static(path.join(__dirname, 'public')));
-app.use('/downloads', express.static(downloadsDir));
+const historyFile = path.join(dataDir, 'history.json');
+let historyEntries = [];        // Urut terbaru dulu
+let historySaveTimer = null;
 
-// CORS
-app.use((req, res, next) => {
-    res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type');
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(200);
-    }
-    next();
-});
+/**
+ * Menyimpan ringkasan job ke history (job yang sama ditimpa,
+ * mis. error lalu dilanjutkan sampai selesai)
+ */
+function recordHistory(downloadId, progress) {
+    const job = jobStore.get(downloadId);
+    if (!job) return;
 
-// Rate limiter untuk /api/download
-const downloadLimiter = rateLimit({
-    windowMs: CONFIG.DOWNLOAD_RATE_WINDOW_MS,
-    max: CONFIG.DOWNLOAD_RATE_MAX,
-    message: { 
-        error: 'Terlalu banyak request download. Tunggu 5 detik.',
-        retryAfter: 5
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    keyGenerator: (req) => req.ip || req.connection.remoteAddress
-});
+    const { options } = job;
+    const finishedAt = Date.now();
+    const entry = {
+        downloadId,
+        url: options.url,
+        title: options.title || null,
+        platform: getJobPlatform(options),
+        type: options.type,
+        format: options.format,
+        quality: options.quality,
+        options,
+        status: progress.status,
+        message: progress.message || null,
+        error: progress.status === 'error' ? (progress.error || progress.message || null) : null,
+        files: progress.files || [],
+        failedItems: progress.failedItems || [],
+        attempts: job.attempt || 1,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt || null,
+        finishedAt,
+        durationSeconds: job.startedAt ? Math.round((finishedAt - job.startedAt) / 1000) : null
+    };
 
-// Rate limiter untuk /api/info (lebih longgar)
-const infoLimiter = rateLimit({
-    windowMs: CONFIG.INFO_RATE_WINDOW_MS,
-    max: CONFIG.INFO_RATE_MAX,
-    message: { 
-        error: 'Terlalu banyak request info. Tunggu sebentar.',
-        retryAfter: 3
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-    keyGenerator: (req) => req.ip || req.connection.remoteAddress
-});
+    historyEntries = historyEntries.filter(item => item.downloadId !== downloadId);
+    historyEntries.unshift(entry);
+    historyEntries.length = Math.min(historyEntries.length, CONFIG.HISTORY_MAX_ENTRIES);
+    persistHistory();
+}
 
-// Global error handler
-app.use((err, req, res, next) => {
-    log.error(`Express error: ${err.message}`);
-    res.status(500).json({ error: 'Internal server error' });
-});
+/**
+ * Menulis history ke disk secara atomik
+ */
+function saveHistory() {
+    clearTimeout(historySaveTimer);
+    historySaveTimer = null;
 
-// ============================================================
-// VALIDASI & KEAMANAN
-// ============================================================
+    try {
+        const tmpFile = `${historyFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, entries: historyEntries }));
+        fs.renameSync(tmpFile, historyFile);
+    } catch (err) {
+        log.error(`Gagal menyimpan history: ${err.message}`);
+    }
+}
 
 /**
- * Validasi URL - menerima semua URL http/https yang valid
- * yt-dlp akan menangani deteksi platform secara otomatis
+ * Menjadwalkan penyimpanan history (debounce 1 detik)
  */
-function isValidUrl(url) {
-    if (!url || typeof url !== 'string') return false;
-    if (url.length > CONFIG.MAX_URL_LENGTH) return false;
-    
-    const cleanUrl = url.trim();
-    
-    // Terima semua URL http/https yang valid
-    try {
-        const urlObj = new URL(cleanUrl);
-        return ['http:', 'https:'].includes(urlObj.protocol);
-    } catch {
-        // Coba dengan https:// prefix
-        try {
-            const urlObj = new URL('https://' + cleanUrl);
-            return ['http:', 'https:'].includes(urlObj.protocol);
-        } catch {
-            return false;
-        }
+function persistHistory() {
+    if (!historySaveTimer) {
+        historySaveTimer = setTimeout(saveHistory, 1000);
     }
 }
 
-function sanitizeFilename(filename) {
-    if (!filename || typeof filename !== 'string') return 'download';
-    
-    return filename
-        // Hapus karakter berbahaya
-        .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
-        // Hapus newlines dan karakter control
-        .replace(/[\r\n\t]/g, ' ')
-        // Hapus multiple dots
-        .replace(/\.{2,}/g, '.')
-        // Hapus dots di awal/akhir
-        .replace(/^\.+|\.+$/g, '')
-        // Normalize whitespace
-        .replace(/\s+/g, ' ')
-        .trim()
-        // Batasi panjang (150 karakter)
-        .substring(0, CONFIG.MAX_FILENAME_LENGTH);
+function loadHistory() {
+    if (!fs.existsSync(historyFile)) return;
+
+    try {
+        const data = JSON.parse(fs.readFileSync(historyFile, 'utf8'));
+        historyEntries = Array.isArray(data.entries) ? data.entries : [];
+        log.info(`History dimuat: ${historyEntries.length} entri`);
+    } catch (err) {
+        log.error(`History rusak, diabaikan: ${err.message}`);
+    }
 }
 
 /**
- * Sanitasi path untuk concat file FFmpeg
+ * Filter + paging history untuk API
  */
-function sanitizeConcatPath(filePath) {
-    return filePath
-        .replace(/\\/g, '/')           // Windows path separator
-        .replace(/'/g, "'\\''")        // Escape single quotes
-        .replace(/[\r\n]/g, '')        // Hapus newlines
-        .replace(/[\x00-\x1f]/g, '');  // Hapus control characters
+function queryHistory({ page = 1, limit = 20, status, type, platform, q }) {
+    const search = q ? q.toLowerCase() : null;
+    const filtered = historyEntries.filter(entry =>
+        (!status || entry.status === status) &&
+        (!type || entry.type === type) &&
+        (!platform || entry.platform === platform) &&
+        (!search || (entry.title || '').toLowerCase().includes(search) || entry.url.toLowerCase().includes(search))
+    );
+
+    return {
+        items: filtered.slice((page - 1) * limit, page * limit),
+        total: filtered.length,
+        page,
+        limit,
+        pages: Math.max(1, Math.ceil(filtered.length / limit)),
+        platforms: [...new Set(historyEntries.map(entry => entry.platform))].sort()
+    };
 }
 
-function isPathSafe(testPath, baseDir) {
+// ============================================================
+// DOWNLOAD ARCHIVE
+// ============================================================
+// Arsip format yt-dlp (--download-archive): satu baris
+// "<extractor> <id>" per video yang sudah ada di library.
+// Video dan audio punya arsip sendiri (mp3 dari video yang sama
+// tetap boleh didownload). yt-dlp menambah baris setelah download berhasil.
+
+const ARCHIVE_TYPES = {
+    video: ['.mp4', '.webm', '.mkv'],
+    audio: ['.mp3', '.m4a', '.wav', '.flac', '.opus']
+};
+const downloadArchives = { video: new Set(), audio: new Set() };
+
+function getArchiveFile(type) {
+    return path.join(dataDir, `archive-${type}.txt`);
+}
+
+function loadDownloadArchive() {
+    Object.entries(downloadArchives).forEach(([type, archive]) => {
+        archive.clear();
+        const file = getArchiveFile(type);
+        if (!fs.existsSync(file)) return;
+
+        try {
+            fs.readFileSync(file, 'utf8')
+                .split('\n')
+                .map(line => line.trim())
+                .filter(Boolean)
+                .forEach(line => archive.add(line));
+        } catch (err) {
+            log.error(`Archive ${type} tidak bisa dibaca: ${err.message}`);
+        }
+    });
+}
+
+/**
+ * Tipe (video/audio) yang sudah ada di arsip untuk satu video
+ * (extractor_key dari yt-dlp, mis. "Youtube")
+ */
+function getArchivedTypes(extractorKey, id) {
+    if (!extractorKey || !id) return [];
+    const key = `${String(extractorKey).toLowerCase()} ${id}`;
+    return Object.keys(downloadArchives).filter(type => downloadArchives[type].has(key));
+}
+
+/**
+ * Menghapus entry arsip milik file yang dihapus user
+ * (nama file berakhiran _<id>.<ext>) agar bisa didownload lagi
+ */
+function removeFromArchive(fileName) {
+    const { name: stem, ext } = path.parse(fileName);
+    const type = Object.keys(ARCHIVE_TYPES).find(t => ARCHIVE_TYPES[t].includes(ext.toLowerCase()));
+    if (!type) return;
+
+    const entries = Array.from(downloadArchives[type]);
+    const remaining = entries.filter(entry => !stem.endsWith(`_${entry.slice(entry.indexOf(' ') + 1)}`));
+    if (remaining.length === entries.length) return;
+
     try {
-        const resolvedPath = path.resolve(testPath);
-        const resolvedBase = path.resolve(baseDir);
-        return resolvedPath.startsWith(resolvedBase + path.sep) || resolvedPath === resolvedBase;
-    } catch {
-        return false;
+        const file = getArchiveFile(type);
+        const tmpFile = `${file}.tmp`;
+        fs.writeFileSync(tmpFile, remaining.map(entry => `${entry}\n`).join(''));
+        fs.renameSync(tmpFile, file);
+        loadDownloadArchive();
+    } catch (err) {
+        log.error(`Gagal memperbarui archive: ${err.message}`);
+    }
+}
+
+/**
+ * Argumen arsip untuk yt-dlp. Tidak dipakai saat force download,
+ * dan tidak untuk merge (track yang dilewati akan hilang dari hasil merge),
+ * pisah per chapter atau klip (hasilnya berbeda dari download biasa).
+ */
+function getArchiveArgs(options) {
+    if (options.forceDownload || options.merge || options.splitChapters || options.ranges) return [];
+    return ['--download-archive', getArchiveFile(options.type)];
+}
+
+/**
+ * Judul/id video yang dilewati yt-dlp karena sudah ada di arsip
+ */
+function parseArchiveSkips(output) {
+    return Array.from(output.matchAll(/\[[\w:]+\] (.+?):? has already been recorded in (?:the )?archive/g))
+        .map(match => ({ title: match[1], reason: 'Dilewati, sudah pernah didownload' }));
+}
+
+/**
+ * Job aktif (belum final) dengan URL dan tipe yang sama.
+ * Job 'interrupted' (prosesnya mati saat restart) tidak menghalangi download baru.
+ * Dengan playlistItems, hanya job yang itemnya beririsan (atau seluruh playlist) yang dihitung.
+ */
+function findActiveJobByUrl(url, type, playlistItems = null) {
+    const target = normalizeUrl(url);
+    for (const job of jobStore.values()) {
+        const status = downloadProgress.get(job.downloadId)?.status;
+        if (status && !FINAL_STATUSES.includes(status) && status !== 'interrupted' &&
+            job.options.type === type && normalizeUrl(job.options.url) === target &&
+            (!playlistItems || !job.options.playlistItems ||
+             job.options.playlistItems.some(index => playlistItems.includes(index)))) {
+            return job;
+        }
     }
+    return null;
 }
 
 // ============================================================
-// SSE PROGRESS (HARDENED)
+// SUBSCRIPTIONS
 // ============================================================
+// Channel / playlist yang dicek berkala dengan --flat-playlist.
+// Item yang belum pernah dilihat diantrikan memakai preset subscription.
+// Disimpan di data/subscriptions.json.
+
+const subscriptionsFile = path.join(dataDir, 'subscriptions.json');
+const SUBSCRIPTION_POLL_MS = 60 * 1000;         // Seberapa sering mencari subscription yang jatuh tempo
+const SUBSCRIPTION_LIST_TIMEOUT_MS = 2 * 60 * 1000;
+const SUBSCRIPTION_MAX_SEEN = 5000;             // Batas id yang diingat per subscription
+const SUBSCRIPTION_PRESET_KEYS = [
+    'type', 'format', 'quality', 'priority', 'embedThumbnail', 'normalizeAudio',
+    'downloadSubtitles', 'subtitleLang', 'highCompatibility', 'rateLimitKBps', 'replayGain'
+];
+
+const subscriptions = new Map();
+const checkingSubscriptions = new Set();
+let subscriptionCheckRunning = false;
 
-function updateProgress(downloadId, data) {
-    const currentProgress = downloadProgress.get(downloadId) || {};
-    const newProgress = {
-        ...currentProgress,
-        ...data,
-        downloadId,
-        timestamp: Date.now()
+/**
+ * Menjalankan yt-dlp dan mengembalikan setiap baris JSON di stdout
+ */
+function runYtdlpJson(args, timeoutMs = CONFIG.INFO_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        const ytdlp = spawn(YTDLP_PATH, ['--dump-json', '--no-warnings', '--socket-timeout', '30', ...args]);
+        let output = '';
+        let errorOutput = '';
+
+        const timeout = setTimeout(() => {
+            ytdlp.kill('SIGTERM');
+            reject(new Error('Timeout mengambil info'));
+        }, timeoutMs);
+
+        ytdlp.stdout.on('data', (data) => { output += data.toString(); });
+        ytdlp.stderr.on('data', (data) => { errorOutput += data.toString(); });
+
+        ytdlp.on('close', (code) => {
+            clearTimeout(timeout);
+            if (code !== 0) {
+                const lastLine = errorOutput.trim().split('\n').pop() || `yt-dlp exit code ${code}`;
+                return reject(new Error(lastLine.replace(/^ERROR:\s*/, '').substring(0, 300)));
+            }
+            resolve(output.trim().split('\n').filter(Boolean).map(line => {
+                try { return JSON.parse(line); }
+                catch { return null; }
+            }).filter(Boolean));
+        });
+
+        ytdlp.on('error', (err) => {
+            clearTimeout(timeout);
+            reject(new Error(`yt-dlp tidak bisa dijalankan: ${err.message}`));
+        });
+    });
+}
+
+/**
+ * Ambil field preset yang dikenal saja dari body request
+ */
+function pickSubscriptionPreset(body) {
+    return SUBSCRIPTION_PRESET_KEYS.reduce((acc, key) => {
+        if (body[key] !== undefined) acc[key] = body[key];
+        return acc;
+    }, {});
+}
+
+function describeSubscription(sub) {
+    const { seenIds, ...rest } = sub;
+    return {
+        ...rest,
+        seenCount: seenIds.length,
+        checking: checkingSubscriptions.has(sub.id),
+        nextCheckAt: sub.enabled
+            ? (sub.lastCheckedAt ? sub.lastCheckedAt + CONFIG.SUBSCRIPTION_CHECK_INTERVAL_MS : Date.now())
+            : null
     };
-    downloadProgress.set(downloadId, newProgress);
-    
-    // Broadcast ke SSE clients dengan error handling
-    const clients = sseClients.get(downloadId);
-    if (clients && clients.size > 0) {
-        const message = `data: ${JSON.stringify(newProgress)}\n\n`;
-        const deadClients = [];
-        
-        clients.forEach(client => {
-            try {
-                const written = client.write(message);
-                if (!written) {
-                    deadClients.push(client);
-                }
-            } catch (err) {
-                // Client disconnected - mark for removal
-                deadClients.push(client);
+}
+
+function saveSubscriptions() {
+    try {
+        const tmpFile = `${subscriptionsFile}.tmp`;
+        fs.writeFileSync(tmpFile, JSON.stringify({ version: 1, subscriptions: Array.from(subscriptions.values()) }, null, 2));
+        fs.renameSync(tmpFile, subscriptionsFile);
+    } catch (err) {
+        log.error(`Gagal menyimpan subscriptions: ${err.message}`);
+    }
+}
+
+function loadSubscriptions() {
+    if (!fs.existsSync(subscriptionsFile)) return;
+
+    try {
+        const data = JSON.parse(fs.readFileSync(subscriptionsFile, 'utf8'));
+        (Array.isArray(data.subscriptions) ? data.subscriptions : []).forEach(sub => {
+            if (sub && sub.id && isValidUrl(sub.url)) {
+                subscriptions.set(sub.id, { ...sub, seenIds: Array.isArray(sub.seenIds) ? sub.seenIds : [] });
             }
         });
-        
-        // Cleanup dead clients
-        deadClients.forEach(client => {
-            clients.delete(client);
-            try { client.end(); } catch {}
+        log.info(`Subscriptions dimuat: ${subscriptions.size}`);
+    } catch (err) {
+        log.error(`Subscriptions rusak, diabaikan: ${err.message}`);
+    }
+}
+
+/**
+ * Cek satu subscription: daftar item terbaru, bandingkan dengan yang
+ * sudah pernah dilihat, lalu antrikan yang baru (terlama dulu).
+ * Saat pengecekan pertama tanpa includeExisting, item yang ada hanya dicatat.
+ */
+async function checkSubscription(sub) {
+    if (checkingSubscriptions.has(sub.id)) {
+        return { queued: 0, skipped: true };
+    }
+    checkingSubscriptions.add(sub.id);
+
+    try {
+        const entries = await runYtdlpJson([
+            '--flat-playlist',
+            '--playlist-end', String(CONFIG.SUBSCRIPTION_SCAN_LIMIT),
+            sub.url
+        ], SUBSCRIPTION_LIST_TIMEOUT_MS);
+
+        // Subscription bisa dihapus selama pengecekan
+        if (!subscriptions.has(sub.id)) return { queued: 0 };
+
+        const seen = new Set(sub.seenIds);
+        const baseline = !sub.lastCheckedAt && !sub.includeExisting;
+        const fresh = entries.filter(entry => entry.id && !seen.has(entry.id));
+        const downloadIds = [];
+
+        // Listing channel urut terbaru dulu - antrikan dari yang terlama
+        fresh.reverse().forEach(entry => {
+            seen.add(entry.id);
+            sub.seenIds.push(entry.id);
+            if (baseline) return;
+
+            // Sudah ada di library lewat download manual
+            if (getArchivedTypes(entry.ie_key, entry.id).includes(sub.preset.type)) return;
+
+            const url = entry.webpage_url || entry.url;
+            const { options, error } = buildDownloadOptions({ ...sub.preset, url, title: entry.title });
+            if (error) {
+                log.warn(`Subscription ${sub.name}: ${entry.id} dilewati (${error})`);
+                return;
+            }
+            options.subscriptionId = sub.id;
+            downloadIds.push(createDownloadJob(options));
         });
-        
-        if (clients.size === 0) {
-            sseClients.delete(downloadId);
+
+        if (sub.seenIds.length > SUBSCRIPTION_MAX_SEEN) {
+            sub.seenIds = sub.seenIds.slice(-SUBSCRIPTION_MAX_SEEN);
         }
-    }
-    
-    // Schedule cleanup jika status final
-    if (['finished', 'error', 'cancelled'].includes(data.status)) {
-        scheduleProgressCleanup(downloadId);
+
+        sub.lastCheckedAt = Date.now();
+        sub.lastError = null;
+        if (downloadIds.length > 0) {
+            sub.lastNewAt = sub.lastCheckedAt;
+            sub.lastNewCount = downloadIds.length;
+            log.success(`Subscription ${sub.name}: ${downloadIds.length} item baru diantrikan`);
+        }
+        saveSubscriptions();
+        return { queued: downloadIds.length, downloadIds };
+    } catch (err) {
+        log.warn(`Subscription ${sub.name} gagal dicek: ${err.message}`);
+        sub.lastCheckedAt = Date.now();
+        sub.lastError = err.message;
+        saveSubscriptions();
+        throw err;
+    } finally {
+        checkingSubscriptions.delete(sub.id);
     }
 }
 
-function cleanupSSEClient(downloadId, res) {
-    const clients = sseClients.get(downloadId);
-    if (clients) {
-        clients.delete(res);
-        if (clients.size === 0) {
-            sseClients.delete(downloadId);
+/**
+ * Cek subscription yang sudah jatuh tempo satu per satu
+ * (bukan paralel agar tidak memicu rate limit situs)
+ */
+async function checkDueSubscriptions() {
+    if (subscriptionCheckRunning) return;
+    subscriptionCheckRunning = true;
+
+    try {
+        for (const sub of Array.from(subscriptions.values())) {
+            const due = (sub.lastCheckedAt || 0) + CONFIG.SUBSCRIPTION_CHECK_INTERVAL_MS <= Date.now();
+            if (!sub.enabled || !due || !subscriptions.has(sub.id)) continue;
+            await checkSubscription(sub).catch(() => {});
         }
+    } finally {
+        subscriptionCheckRunning = false;
     }
 }
 
+setInterval(checkDueSubscriptions, SUBSCRIPTION_POLL_MS);
+
 // ============================================================
-// ENDPOINT: GET VIDEO INFO
+// PODCAST FEED (RSS / ATOM)
 // ============================================================
+// Feed podcast diambil langsung tanpa yt-dlp. Episode dipilih di
+// preview, enclosure didownload lalu ditag dengan metadata episode.
 
-app.post('/api/info', infoLimiter, async (req, res) => {
-    const { url } = req.body;
+const PODCAST_MAX_FEED_BYTES = 20 * 1024 * 1024;
+const PODCAST_MAX_REDIRECTS = 5;
+const PODCAST_MAX_EPISODES = 500;       // Episode per job
+const PODCAST_MAX_ENCLOSURE_URL = 4096; // Enclosure sering lewat rantai redirect tracking yang panjang
+const PODCAST_USER_AGENT = 'UniviDown/1.0';
 
-    if (!isValidUrl(url)) {
-        return res.status(400).json({ error: 'URL tidak valid. Masukkan URL http/https yang benar.' });
-    }
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
 
-    let cleanUrl = url.trim();
-    // Add https:// if missing
-    if (!cleanUrl.match(/^https?:\/\//i)) {
-        cleanUrl = 'https://' + cleanUrl;
+/**
+ * Tebakan dari URL saja: .rss/.xml/.atom, path /rss, /feed, host feeds.*
+ */
+function looksLikeFeedUrl(url) {
+    try {
+        const { hostname, pathname, search } = new URL(url);
+        return /\.(rss|xml|atom)$/i.test(pathname) ||
+            /(^|[./-])(rss|feeds?|atom)([./-]|$)/i.test(`${hostname}${pathname}`) ||
+            /[?&](format|type)=(rss|atom)\b/i.test(search);
+    } catch {
+        return false;
     }
-    const isPlaylist = cleanUrl.includes('playlist?list=') || cleanUrl.includes('/playlist/');
+}
 
-    const args = [
-        '--dump-json',
-        '--no-warnings',
-        '--socket-timeout', '30',
-        '--no-check-certificates'
-    ];
+function decodeXmlText(text) {
+    if (!text) return '';
+    return text
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>|&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, cdata, entity) => {
+            if (cdata !== undefined) return cdata;
+            if (entity[0] === '#') {
+                const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+                return Number.isFinite(code) ? String.fromCodePoint(code) : match;
+            }
+            return XML_ENTITIES[entity.toLowerCase()] ?? match;
+        })
+        .trim();
+}
 
-    if (isPlaylist) {
-        args.push('--flat-playlist');
-    } else {
-        args.push('--no-playlist');
+/** Isi mentah elemen pertama dengan nama tag tersebut */
+function getXmlBlock(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</${tag}>`, 'i'));
+    return match ? match[1] : null;
+}
+
+function getXmlTag(xml, tag) {
+    const block = getXmlBlock(xml, tag);
+    return block === null ? null : decodeXmlText(block) || null;
+}
+
+/** Atribut dari elemen pertama yang cocok (opsional: harus punya atribut lain tertentu) */
+function getXmlAttr(xml, tag, attr, where = null) {
+    const elements = xml.match(new RegExp(`<${tag}\\s[^>]*>`, 'gi')) || [];
+    const readAttr = (element, name) => {
+        const match = element.match(new RegExp(`\\s${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+        return match ? decodeXmlText(match[1] ?? match[2]) : null;
+    };
+    for (const element of elements) {
+        if (where && readAttr(element, where.attr) !== where.value) continue;
+        const value = readAttr(element, attr);
+        if (value) return value;
     }
+    return null;
+}
 
-    args.push(cleanUrl);
+/** itunes:duration bisa detik ("3723") atau "1:02:03" */
+function parseFeedDuration(value) {
+    if (!value) return null;
+    const seconds = value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    return Number.isFinite(seconds) && seconds > 0 ? Math.round(seconds) : null;
+}
 
-    let output = '';
-    let errorOutput = '';
-    let responded = false;
+/** Deskripsi episode biasanya HTML yang di-escape di dalam XML */
+function stripHtml(text) {
+    return decodeXmlText(decodeXmlText(text).replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
 
-    const ytdlp = spawn(YTDLP_PATH, args);
+/**
+ * Parse feed RSS 2.0 / Atom. Return null kalau bukan feed
+ * atau tidak ada episode dengan file audio (enclosure).
+ */
+function parsePodcastFeed(xml) {
+    if (!/<(rss|feed)[\s>]/i.test(xml)) return null;
+
+    const isAtom = !/<rss[\s>]/i.test(xml);
+    const itemPattern = isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi;
+    const head = xml.split(isAtom ? /<entry[\s>]/i : /<item[\s>]/i)[0];
+    const headImage = getXmlBlock(head, 'image');
+
+    const show = {
+        title: getXmlTag(head, 'title') || 'Podcast',
+        author: getXmlTag(head, 'itunes:author') || getXmlTag(getXmlBlock(head, 'author') || '', 'name') || getXmlTag(head, 'author'),
+        image: getXmlAttr(head, 'itunes:image', 'href') || (headImage && getXmlTag(headImage, 'url')) || getXmlTag(head, 'logo')
+    };
 
-    const timeout = setTimeout(() => {
-        if (!responded) {
-            responded = true;
-            ytdlp.kill('SIGTERM');
-            res.status(504).json({ error: 'Timeout mengambil info video' });
+    const episodes = (xml.match(itemPattern) || []).map(item => {
+        const url = isAtom
+            ? getXmlAttr(item, 'link', 'href', { attr: 'rel', value: 'enclosure' })
+            : getXmlAttr(item, 'enclosure', 'url');
+        if (!url || !isValidUrl(url, PODCAST_MAX_ENCLOSURE_URL)) {
+            if (url) log.warn(`Episode dilewati, URL enclosure tidak valid: ${url.substring(0, 100)}`);
+            return null;
         }
-    }, CONFIG.INFO_TIMEOUT_MS);
 
-    ytdlp.stdout.on('data', (data) => {
-        output += data.toString();
-    });
+        const pubDate = Date.parse(getXmlTag(item, 'pubDate') || getXmlTag(item, 'published') || getXmlTag(item, 'updated') || '');
+        const episode = parseInt(getXmlTag(item, 'itunes:episode'), 10);
+        const season = parseInt(getXmlTag(item, 'itunes:season'), 10);
+        const size = parseInt(isAtom
+            ? getXmlAttr(item, 'link', 'length', { attr: 'rel', value: 'enclosure' })
+            : getXmlAttr(item, 'enclosure', 'length'), 10);
+
+        return {
+            id: (getXmlTag(item, 'guid') || getXmlTag(item, 'id') || url).substring(0, 500),
+            title: (getXmlTag(item, 'title') || 'Episode').substring(0, 300),
+            url,
+            mimeType: (isAtom
+                ? getXmlAttr(item, 'link', 'type', { attr: 'rel', value: 'enclosure' })
+                : getXmlAttr(item, 'enclosure', 'type')) || null,
+            size: size > 0 ? size : null,
+            pubDate: Number.isFinite(pubDate) ? new Date(pubDate).toISOString() : null,
+            episode: episode > 0 ? episode : null,
+            season: season > 0 ? season : null,
+            duration: parseFeedDuration(getXmlTag(item, 'itunes:duration')),
+            description: stripHtml(getXmlBlock(item, 'itunes:summary') || getXmlBlock(item, 'description') || getXmlBlock(item, 'summary')).substring(0, 500),
+            image: getXmlAttr(item, 'itunes:image', 'href') || show.image
+        };
+    }).filter(Boolean);
+
+    if (episodes.length === 0) return null;
+    return { ...show, episodes };
+}
 
-    ytdlp.stderr.on('data', (data) => {
-        errorOutput += data.toString();
+/**
+ * GET sederhana dengan redirect (http/https modul bawaan).
+ * onRequest menerima request aktif agar bisa dibatalkan.
+ */
+function httpGet(url, { headers = {}, timeoutMs = CONFIG.INFO_TIMEOUT_MS, onRequest } = {}, redirectsLeft = PODCAST_MAX_REDIRECTS) {
+    return new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const client = target.protocol === 'http:' ? http : https;
+
+        const req = client.get(target, { headers: { 'User-Agent': PODCAST_USER_AGENT, ...headers } }, (res) => {
+            if ([301, 302, 303, 307, 308].includes(res.statusCode) && res.headers.location) {
+                res.resume();
+                if (redirectsLeft <= 0) {
+                    return reject(new Error('Terlalu banyak redirect'));
+                }
+                const next = new URL(res.headers.location, target).href;
+                return resolve(httpGet(next, { headers, timeoutMs, onRequest }, redirectsLeft - 1));
+            }
+            if (res.statusCode >= 400) {
+                res.resume();
+                const error = new Error(`HTTP Error ${res.statusCode}`);
+                error.stderr = error.message;
+                error.statusCode = res.statusCode;
+                error.headers = res.headers;
+                return reject(error);
+            }
+            resolve(res);
+        });
+
+        req.setTimeout(timeoutMs, () => req.destroy(new Error('Koneksi timed out')));
+        req.on('error', (err) => {
+            // stderr dipakai classifyFailure untuk memutuskan retry
+            err.stderr = err.stderr || err.message;
+            reject(err);
+        });
+        if (onRequest) onRequest(req);
     });
+}
 
-    ytdlp.on('close', (code) => {
-        clearTimeout(timeout);
-        if (responded) return;
-        responded = true;
-        
-        if (code !== 0) {
-            log.warn(`yt-dlp info error: ${errorOutput.substring(0, 200)}`);
-            return res.status(500).json({ 
-                error: 'Gagal mengambil info video',
-                details: errorOutput.includes('Video unavailable') ? 'Video tidak tersedia' :
-                         errorOutput.includes('Private video') ? 'Video privat' :
-                         errorOutput.includes('Sign in') ? 'Video memerlukan login' : undefined
-            });
+async function fetchPodcastFeed(url) {
+    const res = await httpGet(url, { headers: { Accept: 'application/rss+xml, application/atom+xml, application/xml, text/xml, */*' } });
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of res) {
+        size += chunk.length;
+        if (size > PODCAST_MAX_FEED_BYTES) {
+            res.destroy();
+            throw new Error('Feed terlalu besar');
         }
+        chunks.push(chunk);
+    }
+    return parsePodcastFeed(Buffer.concat(chunks).toString('utf8'));
+}
 
-        try {
-            if (isPlaylist) {
-                const lines = output.trim().split('\n').filter(Boolean);
-                const videos = lines.map(line => {
-                    try { return JSON.parse(line); } 
-                    catch { return null; }
-                }).filter(Boolean);
+/**
+ * Info feed untuk /api/info (bentuk sama seperti playlist)
+ */
+function describePodcastFeed(feed) {
+    const totalDuration = feed.episodes.reduce((sum, ep) => sum + (ep.duration || 0), 0);
+    return {
+        isPlaylist: true,
+        isPodcast: true,
+        videoCount: feed.episodes.length,
+        title: feed.title,
+        thumbnail: feed.image,
+        duration: formatDuration(totalDuration),
+        durationSeconds: totalDuration,
+        channel: feed.author || feed.title,
+        estimatedSize: null,
+        isLongDuration: false,
+        canMerge: false,
+        platform: 'Podcast',
+        alreadyDownloaded: false,
+        downloadedAs: [],
+        archivedCount: 0,
+        videos: feed.episodes.slice(0, PODCAST_MAX_EPISODES).map(ep => ({
+            id: ep.id,
+            title: ep.title,
+            duration: formatDuration(ep.duration),
+            durationSeconds: ep.duration,
+            thumbnail: ep.image,
+            pubDate: ep.pubDate,
+            episode: ep.episode,
+            season: ep.season,
+            size: ep.size
+        }))
+    };
+}
 
-                if (videos.length === 0) {
-                    return res.status(404).json({ error: 'Playlist kosong atau tidak ditemukan' });
-                }
+// ============================================================
+// QUEUE MANAGEMENT (PRIORITAS)
+// ============================================================
+
+/**
+ * Posisi sisip sesuai prioritas: di belakang semua job dengan
+ * prioritas sama atau lebih tinggi (FIFO dalam satu prioritas)
+ */
+function getPriorityInsertIndex(priority) {
+    const rank = PRIORITY_RANK[priority] ?? PRIORITY_RANK.normal;
+    const index = downloadQueue.findIndex(item => PRIORITY_RANK[item.priority] > rank);
+    return index === -1 ? downloadQueue.length : index;
+}
+
+/**
+ * Menambahkan download ke antrian sesuai prioritas
+ */
+function enqueueDownload(downloadId, options, index = getPriorityInsertIndex(options.priority)) {
+    const priority = PRIORITY_RANK[options.priority] !== undefined ? options.priority : 'normal';
+    downloadQueue.splice(index, 0, { downloadId, options, priority, addedAt: Date.now() });
+    
+    const queuePosition = index + 1;
+    updateProgress(downloadId, {
+        status: 'queued',
+        progress: 0,
+        message: `Menunggu antrian... (Posisi: ${queuePosition})`,
+        queuePosition,
+        priority,
+        canCancel: true
+    });
+    
+    log.info(`Download ${downloadId.slice(0, 8)} masuk antrian (posisi ${queuePosition}, prioritas ${priority})`);
+    
+    // Job di belakangnya ikut bergeser
+    if (index < downloadQueue.length - 1) {
+        broadcastQueuePositions();
+    }
+    processQueue();
+}
+
+/**
+ * Memproses antrian dari depan. Job yang slot platform-nya penuh
+ * dilewati (tetap di posisinya) agar job situs lain bisa jalan.
+ */
+function processQueue() {
+    let index = 0;
+    while (activeDownloads < CONFIG.MAX_CONCURRENT_DOWNLOADS && index < downloadQueue.length) {
+        const platform = getJobPlatform(downloadQueue[index].options);
+        if (!hasPlatformCapacity(platform)) {
+            index++;
+            continue;
+        }
+        
+        const [{ downloadId, options }] = downloadQueue.splice(index, 1);
+        activeDownloads++;
+        runningJobs.add(downloadId);
+        
+        // Update posisi antrian untuk semua yang tersisa
+        broadcastQueuePositions();
+        
+        log.info(`Memproses download ${downloadId.slice(0, 8)} [${platform}] (aktif: ${activeDownloads}/${CONFIG.MAX_CONCURRENT_DOWNLOADS})`);
+        
+        processDownload(downloadId, options)
+            .catch(err => log.error(`Download ${downloadId.slice(0, 8)} error: ${err.message}`))
+            .finally(() => {
+                const processInfo = activeProcesses.get(downloadId);
+                activeDownloads--;
+                runningJobs.delete(downloadId);
+                activeProcesses.delete(downloadId);
+                clearTimeout(downloadTimeouts.get(downloadId));
+                downloadTimeouts.delete(downloadId);
+                
+                // Dihentikan untuk menerapkan batas bandwidth baru - langsung
+                // jalan lagi dari depan antrian (lanjut dari file parsial)
+                if (processInfo?.restart) {
+                    enqueueDownload(downloadId, options, 0);
+                    return;
+                }
+                processQueue();
+            });
+    }
+}
+
+/**
+ * Broadcast update posisi antrian ke semua client yang menunggu
+ */
+function broadcastQueuePositions() {
+    downloadQueue.forEach((item, index) => {
+        const platform = getJobPlatform(item.options);
+        const blocked = !hasPlatformCapacity(platform);
+        updateProgress(item.downloadId, {
+            status: 'queued',
+            progress: 0,
+            message: blocked
+                ? `Menunggu slot ${platform}... (Posisi: ${index + 1})`
+                : `Menunggu antrian... (Posisi: ${index + 1})`,
+            queuePosition: index + 1
+        });
+    });
+}
+
+// ============================================================
+// PLATFORM CONCURRENCY
+// ============================================================
+
+// Alias domain -> nama platform (sesuai nama extractor yt-dlp)
+const PLATFORM_ALIASES = {
+    youtu: 'youtube',
+    x: 'twitter',
+    fb: 'facebook',
+    vm: 'tiktok'
+};
+
+/**
+ * Normalisasi nama extractor yt-dlp ("youtube:tab" -> "youtube")
+ */
+function normalizePlatform(name) {
+    if (!name || typeof name !== 'string') return null;
+    const key = name.toLowerCase().split(':')[0].replace(/[^a-z0-9]/g, '');
+    return key ? (PLATFORM_ALIASES[key] || key) : null;
+}
+
+/**
+ * Tebak platform dari hostname URL ("www.youtube.com" -> "youtube")
+ */
+function getPlatformFromUrl(url) {
+    try {
+        const hostname = new URL(normalizeUrl(url)).hostname.replace(/^(www|m|music|mobile)\./, '');
+        const labels = hostname.split('.');
+        return normalizePlatform(labels.length > 1 ? labels[labels.length - 2] : labels[0]) || 'unknown';
+    } catch {
+        return 'unknown';
+    }
+}
+
+function getJobPlatform(options) {
+    return options.platform || getPlatformFromUrl(options.url);
+}
+
+function getPlatformLimit(platform) {
+    return CONFIG.PLATFORM_LIMITS[platform] || CONFIG.MAX_PER_PLATFORM;
+}
+
+function countRunningByPlatform(platform) {
+    let count = 0;
+    runningJobs.forEach(id => {
+        const job = jobStore.get(id);
+        if (job && getJobPlatform(job.options) === platform) count++;
+    });
+    return count;
+}
+
+function hasPlatformCapacity(platform) {
+    return countRunningByPlatform(platform) < getPlatformLimit(platform);
+}
+
+/**
+ * Memindahkan job di antrian ke index baru (0 = paling depan)
+ */
+function moveInQueue(downloadId, toIndex) {
+    const fromIndex = downloadQueue.findIndex(item => item.downloadId === downloadId);
+    if (fromIndex === -1) return false;
+    
+    const [item] = downloadQueue.splice(fromIndex, 1);
+    const index = Math.max(0, Math.min(toIndex, downloadQueue.length));
+    downloadQueue.splice(index, 0, item);
+    
+    broadcastQueuePositions();
+    saveJobStore();
+    return true;
+}
+
+/**
+ * Menyusun ulang antrian sesuai daftar id (drag & drop dari UI).
+ * Id yang tidak disebut tetap di belakang dengan urutan semula.
+ */
+function reorderQueue(order) {
+    const listed = order
+        .map(id => downloadQueue.find(item => item.downloadId === id))
+        .filter(Boolean);
+    const rest = downloadQueue.filter(item => !listed.includes(item));
+    
+    downloadQueue.splice(0, downloadQueue.length, ...listed, ...rest);
+    
+    broadcastQueuePositions();
+    saveJobStore();
+}
+
+/**
+ * Ringkasan job di antrian untuk API
+ */
+function describeQueueItem(item, index) {
+    const { url, title, type, format, quality } = item.options;
+    return {
+        downloadId: item.downloadId,
+        position: index + 1,
+        priority: item.priority,
+        platform: getJobPlatform(item.options),
+        url,
+        title: title || null,
+        type,
+        format,
+        quality,
+        addedAt: item.addedAt
+    };
+}
+
+/**
+ * Menghapus download dari antrian
+ */
+function removeFromQueue(downloadId) {
+    const index = downloadQueue.findIndex(item => item.downloadId === downloadId);
+    if (index !== -1) {
+        downloadQueue.splice(index, 1);
+        // Update posisi untuk yang tersisa via SSE
+        broadcastQueuePositions();
+        return true;
+    }
+    return false;
+}
+
+// ============================================================
+// SCHEDULED DOWNLOADS
+// ============================================================
+// Job dengan startAt ditahan di luar antrian sampai waktunya tiba,
+// lalu diserahkan ke enqueueDownload seperti job biasa.
+
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;                  // Batas setTimeout (~24.8 hari)
+const MAX_SCHEDULE_AHEAD_MS = 30 * 24 * 60 * 60 * 1000;  // 30 hari
+
+/**
+ * startAt (timestamp ms atau string ISO) -> timestamp, null kalau tidak valid
+ */
+function parseStartAt(value) {
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Validasi waktu mulai, return pesan error atau null
+ */
+function validateStartAt(startAt) {
+    if (startAt === null) return 'Waktu mulai tidak valid';
+    if (startAt <= Date.now()) return 'Waktu mulai sudah lewat';
+    if (startAt - Date.now() > MAX_SCHEDULE_AHEAD_MS) return 'Waktu mulai maksimal 30 hari ke depan';
+    return null;
+}
+
+/**
+ * Menahan job sampai startAt lalu memasukkannya ke antrian.
+ * progress opsional menimpa status/pesan default (dipakai retry).
+ */
+function scheduleDownload(downloadId, options, startAt, progress = {}) {
+    clearTimeout(scheduledJobs.get(downloadId)?.timer);
+    
+    const delay = startAt - Date.now();
+    if (!(delay > 0)) {
+        scheduledJobs.delete(downloadId);
+        log.info(`Download terjadwal ${downloadId.slice(0, 8)} dimulai`);
+        enqueueDownload(downloadId, options);
+        return;
+    }
+    
+    // Jadwal yang lebih jauh dari batas setTimeout dicek ulang nanti
+    const timer = setTimeout(() => scheduleDownload(downloadId, options, startAt, progress), Math.min(delay, MAX_TIMER_DELAY_MS));
+    scheduledJobs.set(downloadId, { downloadId, options, startAt, timer, status: progress.status || 'scheduled' });
+    
+    updateProgress(downloadId, {
+        status: 'scheduled',
+        progress: 0,
+        message: `Dijadwalkan mulai ${new Date(startAt).toLocaleString('id-ID')}`,
+        startAt,
+        canCancel: true,
+        ...progress
+    });
+}
+
+/**
+ * Membatalkan jadwal job (tanpa mengubah status)
+ */
+function unscheduleDownload(downloadId) {
+    const job = scheduledJobs.get(downloadId);
+    if (!job) return false;
+    clearTimeout(job.timer);
+    scheduledJobs.delete(downloadId);
+    return true;
+}
+
+/**
+ * Ringkasan job terjadwal untuk API
+ */
+function describeScheduledItem(job) {
+    const { url, title, type, format, quality, priority } = job.options;
+    return {
+        downloadId: job.downloadId,
+        status: job.status,
+        attempt: jobStore.get(job.downloadId)?.attempt || 1,
+        startAt: job.startAt,
+        priority: priority || 'normal',
+        platform: getJobPlatform(job.options),
+        url,
+        title: title || null,
+        type,
+        format,
+        quality
+    };
+}
+
+// ============================================================
+// RETRY POLICY
+// ============================================================
+// Kegagalan yt-dlp diklasifikasi dari stderr. Error sementara
+// (jaringan, 429, 5xx) dijadwalkan ulang dengan backoff eksponensial;
+// error permanen (video privat / tidak tersedia) langsung gagal.
+
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;  // Jeda retry maksimal 30 menit
+
+// Pola permanen dicocokkan ke baris "ERROR:" yt-dlp (urutan penting: pesan
+// geo / hak cipta juga diawali "Video unavailable").
+const PERMANENT_ERROR_PATTERNS = [
+    { pattern: /^ERROR:.*\bPrivate video\b/im, reason: 'Video privat' },
+    { pattern: /^ERROR:.*\bRequested format is not available\b/im, reason: 'Format / kualitas yang diminta tidak tersedia' },
+    { pattern: /^ERROR:.*\bavailable in your country\b|^ERROR:.*\bgeo[- ]?restrict/im, reason: 'Video diblokir di negara ini' },
+    { pattern: /^ERROR:.*\bcopyright (claim|grounds)\b/im, reason: 'Video dihapus karena hak cipta' },
+    { pattern: /^ERROR:.*\b(Video unavailable|This video is unavailable|This video has been removed|This video is no longer available)\b/im, reason: 'Video tidak tersedia' },
+    { pattern: /^ERROR:.*\b(Sign in to confirm your age|age[- ]restricted)\b/im, reason: 'Video dibatasi umur (perlu login)' },
+    { pattern: /^ERROR:.*\b(members-only content|Join this channel)\b/im, reason: 'Video khusus member' },
+    { pattern: /^ERROR:.*\bUnsupported URL\b/im, reason: 'URL tidak didukung' },
+    { pattern: /HTTP Error 404\b/, reason: 'Tidak ditemukan (404)' }
+];
+
+// Hanya masalah jaringan dan HTTP 429/5xx yang layak dicoba lagi
+const RETRIABLE_ERROR_PATTERNS = [
+    { pattern: /HTTP Error 429\b|Too Many Requests/i, reason: 'Terlalu banyak request (429)' },
+    { pattern: /HTTP Error 5\d\d\b/, reason: 'Server sumber bermasalah' },
+    { pattern: /\btimed out\b|ETIMEDOUT/i, reason: 'Koneksi timeout' },
+    { pattern: /Connection (reset|refused|aborted)|ECONNRESET|ECONNREFUSED|socket hang up|^aborted$|Network is unreachable|Temporary failure in name resolution|getaddrinfo|EAI_AGAIN/im, reason: 'Masalah jaringan' },
+    { pattern: /IncompleteRead|giving up after \d+ fragment retries/i, reason: 'Download terputus' }
+];
+
+/**
+ * Klasifikasi error download -> { retriable, permanent, reason }.
+ * Error di luar yt-dlp (merge, validasi) dan error yang tidak dikenal tidak di-retry,
+ * tapi juga tidak dianggap permanen - file yang sudah ter-download tetap disimpan.
+ */
+function classifyFailure(err) {
+    if (typeof err.stderr !== 'string') {
+        return { retriable: false, permanent: false, reason: err.message || 'Download gagal' };
+    }
+    
+    const permanent = PERMANENT_ERROR_PATTERNS.find(({ pattern }) => pattern.test(err.stderr));
+    if (permanent) return { retriable: false, permanent: true, reason: permanent.reason };
+    
+    const retriable = RETRIABLE_ERROR_PATTERNS.find(({ pattern }) => pattern.test(err.stderr));
+    if (retriable) return { retriable: true, permanent: false, reason: retriable.reason };
+    
+    // Pakai baris ERROR terakhir sebagai alasan kalau ada
+    const errorLines = err.stderr.match(/^ERROR: .+$/gm);
+    return { retriable: false, permanent: false, reason: errorLines ? errorLines.pop().slice(7).trim() : err.message };
+}
+
+/**
+ * Jeda sebelum percobaan berikutnya: base, 2x base, 4x base, ...
+ */
+function getRetryDelay(attempt) {
+    return Math.min(CONFIG.RETRY_BASE_DELAY_MS * 2 ** (attempt - 1), RETRY_MAX_DELAY_MS);
+}
+
+/**
+ * Menangani download yang gagal: jadwalkan retry atau tandai error
+ */
+function handleDownloadFailure(downloadId, options, err) {
+    const job = jobStore.get(downloadId);
+    const attempt = job?.attempt || 1;
+    const maxAttempts = CONFIG.RETRY_MAX_ATTEMPTS;
+    const { retriable, permanent, reason } = classifyFailure(err);
+    
+    log.error(`Download ${downloadId.slice(0, 8)} error (percobaan ${attempt}/${maxAttempts}): ${reason}`);
+    
+    // Error permanen - percuma dicoba lagi, file parsial dibuang
+    if (permanent) {
+        cleanupDir(getJobWorkDir(downloadId));
+        updateProgress(downloadId, {
+            status: 'error',
+            progress: 0,
+            message: `Download gagal: ${reason}`,
+            error: reason,
+            attempt,
+            maxAttempts,
+            canCancel: false,
+            resumable: false
+        });
+        return;
+    }
+    
+    // Error tidak dikenal / post-processing - tidak di-retry otomatis,
+    // tapi working folder disimpan supaya bisa dilanjutkan manual
+    if (!retriable) {
+        updateProgress(downloadId, {
+            status: 'error',
+            progress: 0,
+            message: `Download gagal: ${reason}. Bisa dilanjutkan.`,
+            error: reason,
+            attempt,
+            maxAttempts,
+            canCancel: false,
+            resumable: true
+        });
+        return;
+    }
+    
+    if (job && attempt < maxAttempts) {
+        const nextRetryAt = Date.now() + getRetryDelay(attempt);
+        job.attempt = attempt + 1;
+        
+        log.info(`Download ${downloadId.slice(0, 8)} dicoba lagi pada ${new Date(nextRetryAt).toISOString()}`);
+        scheduleDownload(downloadId, options, nextRetryAt, {
+            status: 'retrying',
+            message: `${reason}. Percobaan ${attempt + 1} dari ${maxAttempts} pada ${new Date(nextRetryAt).toLocaleTimeString('id-ID')}`,
+            lastError: reason,
+            attempt: attempt + 1,
+            maxAttempts,
+            nextRetryAt
+        });
+        return;
+    }
+    
+    // Percobaan habis - masih bisa dilanjutkan manual
+    updateProgress(downloadId, {
+        status: 'error',
+        progress: 0,
+        message: `${reason} (gagal setelah ${attempt} percobaan). Bisa dilanjutkan.`,
+        attempt,
+        maxAttempts,
+        canCancel: false,
+        resumable: true
+    });
+}
+
+// ============================================================
+// BANDWIDTH LIMIT
+// ============================================================
+// Batas global dibagi rata ke semua download aktif. Jadwal per jam
+// menggantikan batas global selama jendela waktunya berlaku.
+// yt-dlp tidak bisa diubah batasnya saat berjalan, jadi proses
+// di-restart dan melanjutkan dari file parsial di working folder.
+
+const BANDWIDTH_CHECK_INTERVAL_MS = 30 * 1000;
+const BANDWIDTH_SHARE_TOLERANCE = 0.25;                   // Perubahan jatah < 25% diabaikan
+const BANDWIDTH_SHARE_RESTART_MIN_MS = 5 * 60 * 1000;     // Restart karena jatah maks 1x per 5 menit per job
+
+/**
+ * "HH:MM" -> menit sejak tengah malam, null kalau tidak valid
+ */
+function parseClockTime(value) {
+    const match = typeof value === 'string' && value.match(/^(\d{2}):(\d{2})$/);
+    if (!match) return null;
+    const hours = parseInt(match[1], 10);
+    const minutes = parseInt(match[2], 10);
+    if (hours > 23 || minutes > 59) return null;
+    return hours * 60 + minutes;
+}
+
+/**
+ * Jadwal yang berlaku saat ini (jadwal pertama yang cocok).
+ * Jendela boleh melewati tengah malam, mis. 22:00-06:00.
+ */
+function getActiveBandwidthRule(date = new Date()) {
+    const now = date.getHours() * 60 + date.getMinutes();
+    return CONFIG.BANDWIDTH_SCHEDULE.find(rule => {
+        const from = parseClockTime(rule.from);
+        const to = parseClockTime(rule.to);
+        return from < to
+            ? now >= from && now < to
+            : now >= from || now < to;
+    }) || null;
+}
+
+/**
+ * Batas bandwidth global saat ini dalam KB/s (0 = tanpa batas)
+ */
+function getGlobalBandwidthLimit() {
+    const rule = getActiveBandwidthRule();
+    return rule ? rule.limitKBps : CONFIG.BANDWIDTH_LIMIT_KBPS;
+}
+
+/**
+ * Batas kecepatan satu job: jatah dari batas global atau batas
+ * milik job sendiri, mana yang lebih kecil (0 = tanpa batas)
+ */
+function getJobRateLimit(options) {
+    const globalLimit = getGlobalBandwidthLimit();
+    const share = globalLimit > 0
+        ? Math.max(1, Math.floor(globalLimit / Math.max(1, runningJobs.size)))
+        : 0;
+    const own = options.rateLimitKBps || 0;
+    
+    if (share && own) return Math.min(share, own);
+    return share || own;
+}
+
+// Batas global saat pengecekan terakhir, untuk membedakan perubahan
+// setting / jadwal dari perubahan jatah karena jumlah download aktif
+let lastGlobalBandwidthLimit = getGlobalBandwidthLimit();
+
+/**
+ * Restart yt-dlp yang batasnya tidak lagi sesuai. Setting atau jadwal
+ * yang berubah langsung diterapkan; perubahan jatah karena download lain
+ * mulai / selesai hanya kalau cukup besar dan tidak terlalu sering,
+ * supaya download lain (dan scan ulang playlist) tidak terus di-restart.
+ */
+function applyBandwidthLimits() {
+    const globalLimit = getGlobalBandwidthLimit();
+    const configChanged = globalLimit !== lastGlobalBandwidthLimit;
+    lastGlobalBandwidthLimit = globalLimit;
+
+    activeProcesses.forEach((processInfo, downloadId) => {
+        if (processInfo.cancelled || !processInfo.process || processInfo.process.killed) return;
+        
+        // Jangan ganggu proses yang sudah post-processing
+        const status = downloadProgress.get(downloadId)?.status;
+        if (!['downloading_video', 'downloading_audio'].includes(status)) return;
+        
+        const job = jobStore.get(downloadId);
+        if (!job) return;
+        
+        const limit = getJobRateLimit(job.options);
+        const current = processInfo.rateLimitKBps;
+        if (limit === current) return;
+        
+        if (!configChanged && current && limit) {
+            if (Math.abs(limit - current) / current < BANDWIDTH_SHARE_TOLERANCE) return;
+            if (Date.now() - processInfo.startedAt < BANDWIDTH_SHARE_RESTART_MIN_MS) return;
+        }
+        
+        log.info(`Download ${downloadId.slice(0, 8)} batas bandwidth ${processInfo.rateLimitKBps || '∞'} -> ${limit || '∞'} KB/s`);
+        processInfo.cancelled = true;
+        processInfo.restart = true;
+        processInfo.process.kill('SIGTERM');
+        
+        updateProgress(downloadId, {
+            message: 'Menerapkan batas bandwidth baru...'
+        });
+    });
+}
+
+setInterval(applyBandwidthLimits, BANDWIDTH_CHECK_INTERVAL_MS);
+
+// ============================================================
+// PROGRESS MAP CLEANUP
+// ============================================================
+
+/**
+ * Menjadwalkan cleanup progress map 10 menit setelah selesai
+ */
+function scheduleProgressCleanup(downloadId) {
+    // Clear timer lama jika ada
+    if (progressCleanupTimers.has(downloadId)) {
+        clearTimeout(progressCleanupTimers.get(downloadId));
+    }
+    
+    const timer = setTimeout(() => {
+        downloadProgress.delete(downloadId);
+        sseClients.delete(downloadId);
+        progressCleanupTimers.delete(downloadId);
+        if (jobStore.delete(downloadId)) {
+            persistJobs();
+        }
+        log.info(`Progress ${downloadId.slice(0, 8)} dibersihkan dari memory`);
+    }, CONFIG.PROGRESS_CLEANUP_MS);
+    
+    progressCleanupTimers.set(downloadId, timer);
+}
+
+// ============================================================
+// AUTO CLEANUP FILES
+// ============================================================
+
+function cleanupTempFiles() {
+    try {
+        if (fs.existsSync(tempDir)) {
+            const items = fs.readdirSync(tempDir);
+            let count = 0;
+            items.forEach(item => {
+                const itemPath = path.join(tempDir, item);
+                // Working folder milik job yang masih tersimpan jangan dihapus
+                if (jobStore.has(item)) return;
+                try {
+                    if (isPathSafe(itemPath, tempDir)) {
+                        const stats = fs.statSync(itemPath);
+                        if (stats.isDirectory()) {
+                            fs.rmSync(itemPath, { recursive: true, force: true });
+                        } else {
+                            fs.unlinkSync(itemPath);
+                        }
+                        count++;
+                    }
+                } catch (err) {
+                    log.warn(`Gagal hapus temp ${item}: ${err.message}`);
+                }
+            });
+            if (count > 0) {
+                log.success(`Folder temp dibersihkan (${count} item)`);
+            }
+        }
+    } catch (err) {
+        log.error(`Cleanup temp error: ${err.message}`);
+    }
+}
+
+function cleanupOldDownloads() {
+    try {
+        const now = Date.now();
+        const files = listDownloadFiles();
+        let deletedCount = 0;
+        
+        files.forEach(file => {
+            const filePath = path.join(downloadsDir, file);
+            try {
+                const stats = fs.statSync(filePath);
+                if (stats.isFile() && now - stats.mtimeMs > CONFIG.FILE_MAX_AGE_MS) {
+                    if (isPathSafe(filePath, downloadsDir)) {
+                        fs.unlinkSync(filePath);
+                        removeFromArchive(file);
+                        removeEmptyPlaylistDir(path.dirname(filePath));
+                        deletedCount++;
+                    }
+                }
+            } catch (err) {
+                log.warn(`Gagal hapus ${file}: ${err.message}`);
+            }
+        });
+        
+        if (deletedCount > 0) {
+            log.success(`${deletedCount} file lama (>24 jam) dihapus`);
+        }
+    } catch (err) {
+        log.error(`Cleanup downloads error: ${err.message}`);
+    }
+}
+
+/**
+ * File di folder downloads termasuk subfolder playlist (satu level).
+ * Folder subtitles tidak ikut.
+ */
+function listDownloadFiles() {
+    const files = [];
+    fs.readdirSync(downloadsDir).forEach(name => {
+        if (name.startsWith('.')) return;
+        const fullPath = path.join(downloadsDir, name);
+        const stats = fs.statSync(fullPath);
+        if (stats.isFile()) {
+            files.push(name);
+        } else if (stats.isDirectory() && fullPath !== subtitlesDir) {
+            fs.readdirSync(fullPath)
+                .filter(child => !child.startsWith('.') && fs.statSync(path.join(fullPath, child)).isFile())
+                .forEach(child => files.push(`${name}/${child}`));
+        }
+    });
+    return files;
+}
+
+/**
+ * Hapus subfolder playlist yang sudah kosong
+ */
+function removeEmptyPlaylistDir(dir) {
+    if (dir === downloadsDir || dir === subtitlesDir || !isPathSafe(dir, downloadsDir)) return;
+    try {
+        if (fs.readdirSync(dir).length === 0) fs.rmdirSync(dir);
+    } catch {}
+}
+
+function cleanupDir(dir) {
+    try {
+        if (dir && fs.existsSync(dir) && isPathSafe(dir, tempDir)) {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    } catch (err) {
+        log.warn(`Cleanup dir error: ${err.message}`);
+    }
+}
+
+/**
+ * Menghapus job terputus/gagal yang tidak dilanjutkan lebih dari 24 jam
+ * beserta working folder-nya
+ */
+function cleanupStaleJobs() {
+    const now = Date.now();
+    let count = 0;
+    
+    jobStore.forEach((job, downloadId) => {
+        const progress = downloadProgress.get(downloadId);
+        if (!progress?.resumable || !['error', 'interrupted'].includes(progress.status)) return;
+        if (now - (progress.timestamp || job.createdAt) < CONFIG.FILE_MAX_AGE_MS) return;
+        
+        cleanupDir(getJobWorkDir(downloadId));
+        jobStore.delete(downloadId);
+        downloadProgress.delete(downloadId);
+        count++;
+    });
+    
+    if (count > 0) {
+        persistJobs();
+        log.success(`${count} job lama yang tidak dilanjutkan dihapus`);
+    }
+}
+
+function runPeriodicCleanup() {
+    cleanupStaleJobs();
+    cleanupOldDownloads();
+    cleanupTempFiles();
+}
+
+// Periodic cleanup (default setiap 1 jam, interval bisa diubah lewat settings)
+let cleanupInterval = setInterval(runPeriodicCleanup, CONFIG.CLEANUP_INTERVAL_MS);
+
+// ============================================================
+// MIDDLEWARE
+// ============================================================
+
+app.use(express.json({ limit: '1mb' }));
+app.use(express.static(path.join(__dirname, 'public')));
+app.use('/downloads', express.static(downloadsDir));
+
+// CORS
+app.use((req, res, next) => {
+    res.header('Access-Control-Allow-Origin', '*');
+    res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+    res.header('Access-Control-Allow-Headers', 'Content-Type');
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(200);
+    }
+    next();
+});
+
+/**
+ * Rate limiter dibuat sekali saat start; max dan pesan membaca CONFIG saat request.
+ * windowMs tidak bisa diubah setelah dibuat, jadi store-nya di-init ulang
+ * lewat applyRateLimitWindows() saat setting jendela berubah.
+ */
+function createRateLimiter(windowKey, maxKey, getMessage) {
+    const store = new rateLimit.MemoryStore();
+    const limiter = rateLimit({
+        windowMs: CONFIG[windowKey],
+        max: () => CONFIG[maxKey],
+        message: () => getMessage(Math.ceil(CONFIG[windowKey] / 1000)),
+        store,
+        standardHeaders: true,
+        legacyHeaders: false,
+        keyGenerator: (req) => req.ip || req.connection.remoteAddress
+    });
+    return { limiter, store, windowKey, windowMs: CONFIG[windowKey] };
+}
+
+const rateLimiters = {
+    // Rate limiter untuk /api/download
+    download: createRateLimiter('DOWNLOAD_RATE_WINDOW_MS', 'DOWNLOAD_RATE_MAX', (seconds) => ({
+        error: `Terlalu banyak request download. Tunggu ${seconds} detik.`,
+        retryAfter: seconds
+    })),
+    // Rate limiter untuk /api/info (lebih longgar)
+    info: createRateLimiter('INFO_RATE_WINDOW_MS', 'INFO_RATE_MAX', (seconds) => ({
+        error: 'Terlalu banyak request info. Tunggu sebentar.',
+        retryAfter: seconds
+    }))
+};
+const downloadLimiter = rateLimiters.download.limiter;
+const infoLimiter = rateLimiters.info.limiter;
+
+/**
+ * Terapkan jendela rate limit baru (hanya kalau berubah, counter tetap dipertahankan)
+ */
+function applyRateLimitWindows() {
+    Object.values(rateLimiters).forEach(entry => {
+        const windowMs = CONFIG[entry.windowKey];
+        if (windowMs === entry.windowMs) return;
+        entry.store.init({ windowMs });
+        entry.windowMs = windowMs;
+    });
+}
+
+// Global error handler
+app.use((err, req, res, next) => {
+    log.error(`Express error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+});
+
+// ============================================================
+// VALIDASI & KEAMANAN
+// ============================================================
+
+/**
+ * Validasi URL - menerima semua URL http/https yang valid
+ * yt-dlp akan menangani deteksi platform secara otomatis
+ */
+function isValidUrl(url, maxLength = CONFIG.MAX_URL_LENGTH) {
+    if (!url || typeof url !== 'string') return false;
+    if (url.length > maxLength) return false;
+    
+    const cleanUrl = url.trim();
+    
+    // Terima semua URL http/https yang valid
+    try {
+        const urlObj = new URL(cleanUrl);
+        return ['http:', 'https:'].includes(urlObj.protocol);
+    } catch {
+        // Coba dengan https:// prefix
+        try {
+            const urlObj = new URL('https://' + cleanUrl);
+            return ['http:', 'https:'].includes(urlObj.protocol);
+        } catch {
+            return false;
+        }
+    }
+}
+
+/**
+ * URL playlist (bukan video tunggal dalam playlist)
+ */
+function isPlaylistUrl(url) {
+    return url.includes('playlist?list=') || url.includes('/playlist/');
+}
+
+/**
+ * Trim URL dan tambahkan https:// jika belum ada
+ */
+function normalizeUrl(url) {
+    const cleanUrl = url.trim();
+    return /^https?:\/\//i.test(cleanUrl) ? cleanUrl : 'https://' + cleanUrl;
+}
+
+function sanitizeFilename(filename) {
+    if (!filename || typeof filename !== 'string') return 'download';
+    
+    return filename
+        // Hapus karakter berbahaya
+        .replace(/[<>:"/\\|?*\x00-\x1f]/g, '_')
+        // Hapus newlines dan karakter control
+        .replace(/[\r\n\t]/g, ' ')
+        // Hapus multiple dots
+        .replace(/\.{2,}/g, '.')
+        // Hapus dots di awal/akhir
+        .replace(/^\.+|\.+$/g, '')
+        // Normalize whitespace
+        .replace(/\s+/g, ' ')
+        .trim()
+        // Batasi panjang (150 karakter)
+        .substring(0, CONFIG.MAX_FILENAME_LENGTH);
+}
+
+/**
+ * Sanitasi path untuk concat file FFmpeg
+ */
+function sanitizeConcatPath(filePath) {
+    return filePath
+        .replace(/\\/g, '/')           // Windows path separator
+        .replace(/'/g, "'\\''")        // Escape single quotes
+        .replace(/[\r\n]/g, '')        // Hapus newlines
+        .replace(/[\x00-\x1f]/g, '');  // Hapus control characters
+}
+
+function isPathSafe(testPath, baseDir) {
+    try {
+        const resolvedPath = path.resolve(testPath);
+        const resolvedBase = path.resolve(baseDir);
+        return resolvedPath.startsWith(resolvedBase + path.sep) || resolvedPath === resolvedBase;
+    } catch {
+        return false;
+    }
+}
+
+// ============================================================
+// SSE PROGRESS (HARDENED)
+// ============================================================
+
+function updateProgress(downloadId, data) {
+    const currentProgress = downloadProgress.get(downloadId) || {};
+    
+    // Job yang dijeda hanya boleh berubah ke antrian (resume) atau dibatalkan.
+    // Update terlambat dari proses yang baru dihentikan diabaikan.
+    if (currentProgress.status === 'paused' && data.status && !['queued', 'cancelled', 'paused'].includes(data.status)) {
+        return;
+    }
+    
+    const newProgress = {
+        ...currentProgress,
+        ...data,
+        downloadId,
+        timestamp: Date.now()
+    };
+    downloadProgress.set(downloadId, newProgress);
+    
+    // Write-through ke job store (langsung saat status berubah)
+    if (jobStore.has(downloadId)) {
+        if (data.status && data.status !== currentProgress.status) {
+            saveJobStore();
+        } else {
+            persistJobs();
+        }
+    }
+    
+    // Broadcast ke SSE clients dengan error handling
+    const clients = sseClients.get(downloadId);
+    if (clients && clients.size > 0) {
+        const message = `data: ${JSON.stringify(newProgress)}\n\n`;
+        const deadClients = [];
+        
+        clients.forEach(client => {
+            try {
+                const written = client.write(message);
+                if (!written) {
+                    deadClients.push(client);
+                }
+            } catch (err) {
+                // Client disconnected - mark for removal
+                deadClients.push(client);
+            }
+        });
+        
+        // Cleanup dead clients
+        deadClients.forEach(client => {
+            clients.delete(client);
+            try { client.end(); } catch {}
+        });
+        
+        if (clients.size === 0) {
+            sseClients.delete(downloadId);
+        }
+    }
+    
+    // Catat ke history, lalu schedule cleanup jika status final
+    // (job yang bisa dilanjutkan tetap disimpan)
+    if (FINAL_STATUSES.includes(data.status)) {
+        recordHistory(downloadId, newProgress);
+        if (!newProgress.resumable) {
+            scheduleProgressCleanup(downloadId);
+        }
+    }
+}
+
+function cleanupSSEClient(downloadId, res) {
+    const clients = sseClients.get(downloadId);
+    if (clients) {
+        clients.delete(res);
+        if (clients.size === 0) {
+            sseClients.delete(downloadId);
+        }
+    }
+}
+
+// ============================================================
+// ENDPOINT: GET VIDEO INFO
+// ============================================================
+
+app.post('/api/info', infoLimiter, async (req, res) => {
+    const { url } = req.body;
+
+    if (!isValidUrl(url)) {
+        return res.status(400).json({ error: 'URL tidak valid. Masukkan URL http/https yang benar.' });
+    }
+
+    const cleanUrl = normalizeUrl(url);
+    const isPlaylist = isPlaylistUrl(cleanUrl);
+
+    // Feed podcast ditangani sendiri; kalau ternyata bukan feed, lanjut ke yt-dlp
+    if (looksLikeFeedUrl(cleanUrl)) {
+        try {
+            const feed = await fetchPodcastFeed(cleanUrl);
+            if (feed) {
+                const info = describePodcastFeed(feed);
+                cacheInfo(cleanUrl, info);
+                return res.json(info);
+            }
+        } catch (err) {
+            log.warn(`Feed podcast gagal dibaca, coba yt-dlp: ${err.message}`);
+        }
+    }
+
+    const args = [
+        '--dump-json',
+        '--no-warnings',
+        '--socket-timeout', '30',
+        '--no-check-certificates'
+    ];
+
+    if (isPlaylist) {
+        args.push('--flat-playlist');
+    } else {
+        args.push('--no-playlist');
+    }
+
+    args.push(cleanUrl);
+
+    let output = '';
+    let errorOutput = '';
+    let responded = false;
+
+    // Simpan ke cache agar /api/download bisa memakai platform dll.
+    const sendInfo = (info) => {
+        cacheInfo(cleanUrl, info);
+        res.json(info);
+    };
+
+    const ytdlp = spawn(YTDLP_PATH, args);
+
+    const timeout = setTimeout(() => {
+        if (!responded) {
+            responded = true;
+            ytdlp.kill('SIGTERM');
+            res.status(504).json({ error: 'Timeout mengambil info video' });
+        }
+    }, CONFIG.INFO_TIMEOUT_MS);
+
+    ytdlp.stdout.on('data', (data) => {
+        output += data.toString();
+    });
+
+    ytdlp.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+    });
+
+    ytdlp.on('close', (code) => {
+        clearTimeout(timeout);
+        if (responded) return;
+        responded = true;
+        
+        if (code !== 0) {
+            log.warn(`yt-dlp info error: ${errorOutput.substring(0, 200)}`);
+            return res.status(500).json({ 
+                error: 'Gagal mengambil info video',
+                details: errorOutput.includes('Video unavailable') ? 'Video tidak tersedia' :
+                         errorOutput.includes('Private video') ? 'Video privat' :
+                         errorOutput.includes('Sign in') ? 'Video memerlukan login' : undefined
+            });
+        }
+
+        try {
+            if (isPlaylist) {
+                const lines = output.trim().split('\n').filter(Boolean);
+                const videos = lines.map(line => {
+                    try { return JSON.parse(line); } 
+                    catch { return null; }
+                }).filter(Boolean);
+
+                if (videos.length === 0) {
+                    return res.status(404).json({ error: 'Playlist kosong atau tidak ditemukan' });
+                }
 
                 const firstVideo = videos[0];
                 const totalDuration = videos.reduce((sum, v) => sum + (v.duration || 0), 0);
+                const archivedTypes = videos.map(v => getArchivedTypes(v.ie_key || firstVideo.ie_key, v.id));
+                const archivedCount = archivedTypes.filter(types => types.length > 0).length;
+                const downloadedAs = ['video', 'audio'].filter(type => archivedTypes.every(types => types.includes(type)));
+
+                sendInfo({
+                    isPlaylist: true,
+                    videoCount: videos.length,
+                    title: firstVideo.playlist_title || `Playlist (${videos.length} video)`,
+                    thumbnail: firstVideo.thumbnail || firstVideo.thumbnails?.[0]?.url,
+                    duration: formatDuration(totalDuration),
+                    durationSeconds: totalDuration,
+                    channel: firstVideo.uploader || firstVideo.channel || 'Unknown',
+                    estimatedSize: null,
+                    isLongDuration: totalDuration > CONFIG.LONG_DURATION_WARNING_SEC,
+                    canMerge: videos.length <= CONFIG.MAX_PLAYLIST_MERGE,
+                    platform: firstVideo.extractor || firstVideo.extractor_key || 'Unknown',
+                    alreadyDownloaded: downloadedAs.length > 0,
+                    downloadedAs,
+                    archivedCount,
+                    videos: videos.slice(0, 100).map((v, i) => ({
+                        id: v.id,
+                        title: v.title,
+                        duration: formatDuration(v.duration),
+                        thumbnail: v.thumbnail,
+                        archived: archivedTypes[i]
+                    }))
+                });
+            } else {
+                const info = JSON.parse(output);
+                
+                // Estimasi ukuran file
+                let estimatedSize = info.filesize || info.filesize_approx;
+                if (!estimatedSize && info.formats) {
+                    const bestFormat = info.formats
+                        .filter(f => f.filesize || f.filesize_approx)
+                        .sort((a, b) => (b.filesize || b.filesize_approx || 0) - (a.filesize || a.filesize_approx || 0))[0];
+                    estimatedSize = bestFormat?.filesize || bestFormat?.filesize_approx;
+                }
+                
+                // Cek ketersediaan subtitle
+                const hasSubtitles = !!(info.subtitles && Object.keys(info.subtitles).length > 0);
+                const availableSubtitles = hasSubtitles ? Object.keys(info.subtitles) : [];
+
+                // Extract available qualities
+                const { resolutions, audioCodecs, hasVideoFormats } = extractAvailableQualities(info.formats);
+
+                // Sudah ada di library?
+                const downloadedAs = getArchivedTypes(info.extractor_key, info.id);
+
+                // Check file size limit
+                const fileSizeExceeded = estimatedSize && estimatedSize > CONFIG.MAX_FILE_SIZE_BYTES;
+
+                sendInfo({
+                    isPlaylist: false,
+                    videoCount: 1,
+                    id: info.id,
+                    title: info.title || 'Unknown',
+                    thumbnail: info.thumbnail,
+                    duration: formatDuration(info.duration),
+                    durationSeconds: info.duration,
+                    channel: info.uploader || info.channel || 'Unknown',
+                    estimatedSize,
+                    fileSizeExceeded,
+                    viewCount: info.view_count,
+                    uploadDate: info.upload_date,
+                    description: info.description?.substring(0, 200),
+                    isLongDuration: (info.duration || 0) > CONFIG.LONG_DURATION_WARNING_SEC,
+                    hasSubtitles,
+                    availableSubtitles: availableSubtitles.slice(0, 20),
+                    platform: info.extractor || info.extractor_key || 'Unknown',
+                    alreadyDownloaded: downloadedAs.length > 0,
+                    downloadedAs,
+                    availableResolutions: resolutions,
+                    availableAudioCodecs: audioCodecs,
+                    hasVideoFormats,
+                    chapters: (info.chapters || []).slice(0, MAX_SPLIT_CHAPTERS).map((chapter, i) => ({
+                        index: i + 1,
+                        title: chapter.title || `Chapter ${i + 1}`,
+                        start: chapter.start_time,
+                        end: chapter.end_time
+                    }))
+                });
+            }
+        } catch (err) {
+            log.error(`Parse info error: ${err.message}`);
+            res.status(500).json({ error: 'Gagal memproses info video' });
+        }
+    });
+
+    ytdlp.on('error', (err) => {
+        clearTimeout(timeout);
+        if (responded) return;
+        responded = true;
+        log.error(`yt-dlp spawn error: ${err.message}`);
+        res.status(500).json({ error: 'yt-dlp tidak ditemukan. Pastikan sudah terinstall.' });
+    });
+});
+
+// ============================================================
+// INFO CACHE
+// ============================================================
+
+function cacheInfo(url, info) {
+    infoCache.delete(url);
+    infoCache.set(url, { ...info, cachedAt: Date.now() });
+    
+    // Buang entry paling lama (Map menjaga urutan insert)
+    if (infoCache.size > CONFIG.INFO_CACHE_MAX_ENTRIES) {
+        infoCache.delete(infoCache.keys().next().value);
+    }
+}
+
+function getCachedInfo(url) {
+    const key = normalizeUrl(url);
+    const entry = infoCache.get(key);
+    if (entry && Date.now() - entry.cachedAt > CONFIG.INFO_CACHE_TTL_MS) {
+        infoCache.delete(key);
+        return null;
+    }
+    return entry || null;
+}
+
+// ============================================================
+// QUALITY DETECTION HELPERS
+// ============================================================
+
+function extractAvailableQualities(formats) {
+    if (!formats || !Array.isArray(formats)) {
+        return { resolutions: [], audioCodecs: [], hasVideoFormats: false };
+    }
+
+    // Check if any video formats exist (even without height)
+    const hasVideoFormats = formats.some(f => f.vcodec && f.vcodec !== 'none');
+
+    // Extract unique video resolutions (height) where vcodec is not 'none'
+    const resolutions = [...new Set(
+        formats
+            .filter(f => f.height && f.vcodec && f.vcodec !== 'none')
+            .map(f => f.height)
+    )].sort((a, b) => b - a); // Sort descending
+
+    // Extract unique audio codecs where acodec is not 'none'
+    const audioCodecs = [...new Set(
+        formats
+            .filter(f => f.acodec && f.acodec !== 'none')
+            .map(f => f.acodec)
+    )];
+
+    return { resolutions, audioCodecs, hasVideoFormats };
+}
+
+function formatDuration(seconds) {
+    if (!seconds || isNaN(seconds)) return '--:--';
+    seconds = Math.floor(seconds);
+    const h = Math.floor(seconds / 3600);
+    const m = Math.floor((seconds % 3600) / 60);
+    const s = seconds % 60;
+    if (h > 0) {
+        return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+    }
+    return `${m}:${s.toString().padStart(2, '0')}`;
+}
+
+// ============================================================
+// PLAYLIST ITEM SELECTION
+// ============================================================
+// Item dipilih lewat index playlist (mulai 1) atau id video dari
+// /api/info. Disimpan sebagai index agar bisa diteruskan ke yt-dlp.
+
+const MAX_PLAYLIST_ITEMS = 1000;
+const MAX_PLAYLIST_INDEX = 100000;
+
+/**
+ * Ubah pilihan item (index atau id) menjadi index terurut.
+ * Return { items } atau { error }.
+ */
+function resolvePlaylistItems(url, selection) {
+    if (!Array.isArray(selection) || selection.length === 0 || selection.length > MAX_PLAYLIST_ITEMS) {
+        return { error: `Pilih 1 sampai ${MAX_PLAYLIST_ITEMS} item playlist` };
+    }
+
+    const videos = getCachedInfo(normalizeUrl(url))?.videos || [];
+    const indices = new Set();
+    for (const item of selection) {
+        if (Number.isInteger(item) && item >= 1 && item <= MAX_PLAYLIST_INDEX) {
+            indices.add(item);
+            continue;
+        }
+        // id hanya bisa dipetakan kalau info playlist masih di cache
+        const position = typeof item === 'string' ? videos.findIndex(video => video.id === item) : -1;
+        if (position === -1) {
+            return { error: `Item playlist tidak dikenal: ${String(item).substring(0, 50)}` };
+        }
+        indices.add(position + 1);
+    }
+
+    return { items: Array.from(indices).sort((a, b) => a - b) };
+}
+
+/**
+ * [1, 2, 3, 5, 7, 8] -> "1-3,5,7-8" untuk --playlist-items
+ */
+function formatPlaylistItems(items) {
+    const ranges = [];
+    items.forEach(index => {
+        const last = ranges[ranges.length - 1];
+        if (last && index === last[1] + 1) {
+            last[1] = index;
+        } else {
+            ranges.push([index, index]);
+        }
+    });
+    return ranges.map(([start, end]) => start === end ? `${start}` : `${start}-${end}`).join(',');
+}
+
+/**
+ * Argumen yt-dlp untuk cakupan playlist: item terpilih saja,
+ * atau satu video (--no-playlist) kalau playlist tidak diminta
+ */
+function getPlaylistArgs(options, wholePlaylist = false) {
+    // Mode ignore-errors: item yang gagal dilewati, sisa playlist tetap diproses
+    const ignoreArgs = options.ignoreErrors ? ['--ignore-errors'] : [];
+    if (options.playlistItems) {
+        return ['--yes-playlist', '--playlist-items', formatPlaylistItems(options.playlistItems), ...ignoreArgs];
+    }
+    return wholePlaylist ? ignoreArgs : ['--no-playlist'];
+}
+
+/**
+ * Tolak merge kalau jumlah item melebihi MAX_PLAYLIST_MERGE.
+ * Kalau jumlah playlist gagal dicek, download tetap dilanjutkan.
+ */
+async function checkMergeLimit(options) {
+    if (!options.merge) return;
+
+    if (options.playlistItems) {
+        if (options.playlistItems.length > CONFIG.MAX_PLAYLIST_MERGE) {
+            throw new Error(`Terlalu banyak item untuk merge (${options.playlistItems.length} video, max ${CONFIG.MAX_PLAYLIST_MERGE})`);
+        }
+        return;
+    }
+    if (!isPlaylistUrl(options.url)) return;
+
+    const entries = await runYtdlpJson(['--flat-playlist', options.url]).catch(() => null);
+    if (entries && entries.length > CONFIG.MAX_PLAYLIST_MERGE) {
+        throw new Error(`Playlist terlalu besar untuk merge (${entries.length} video, max ${CONFIG.MAX_PLAYLIST_MERGE})`);
+    }
+}
+
+/**
+ * Pesan akhir job, menyebut item playlist yang gagal (mode ignore-errors)
+ */
+function getFinishedMessage(files, skipped, failedItems, doneMessage = 'Download selesai!') {
+    if (failedItems.length > 0) {
+        return `${doneMessage.replace(/!$/, '')}, ${failedItems.length} item gagal`;
+    }
+    return files.length === 0 && skipped.length > 0 ? 'Dilewati, sudah pernah didownload' : doneMessage;
+}
+
+// ============================================================
+// PLAYLIST ITEM PROGRESS
+// ============================================================
+
+const SIZE_UNITS = { B: 1, KiB: 1024, MiB: 1024 ** 2, GiB: 1024 ** 3, KB: 1e3, MB: 1e6, GB: 1e9 };
+
+/**
+ * "12.34MiB" -> jumlah byte (null kalau tidak dikenali)
+ */
+function parseYtdlpSize(text) {
+    const match = /^([\d.]+)([KMG]i?B|B)$/.exec(text || '');
+    return match && SIZE_UNITS[match[2]] ? Math.round(parseFloat(match[1]) * SIZE_UNITS[match[2]]) : null;
+}
+
+/**
+ * Status per item untuk job playlist, diisi dari output yt-dlp baris per baris.
+ * Daftar awal (id + judul) diambil dari cache info kalau masih ada.
+ * Status item: pending, downloading, finished, skipped, failed.
+ */
+function createItemTracker(downloadId, options) {
+    const videos = getCachedInfo(options.url)?.videos || [];
+    const indices = options.playlistItems || videos.map((_, i) => i + 1);
+    const newItem = (index) => ({
+        index,
+        id: videos[index - 1]?.id || null,
+        title: videos[index - 1]?.title || null,
+        status: 'pending',
+        percent: 0,
+        size: null,
+        error: null
+    });
+    const items = indices.map(newItem);
+    let current = null;
+
+    const snapshot = () => items.map(item => ({ ...item }));
+    const publish = () => updateProgress(downloadId, { items: snapshot() });
+    // Daftar dari cache langsung ditampilkan (semua masih pending)
+    if (items.length > 0) publish();
+
+    const settleCurrent = (status) => {
+        if (current?.status === 'downloading') {
+            current.status = status;
+            if (status === 'finished') current.percent = 100;
+        }
+    };
+
+    const start = (position, total) => {
+        settleCurrent('finished');
+        // Cache kosong/basi: sesuaikan panjang daftar dengan yang dilaporkan yt-dlp
+        if (items.length > total) items.length = total;
+        while (items.length < total) {
+            const last = items[items.length - 1];
+            items.push(newItem(last ? last.index + 1 : 1));
+        }
+        current = items[position - 1];
+        current.status = 'downloading';
+        current.percent = 0;
+        current.error = null;
+    };
+
+    const handleLine = (line) => {
+        const itemMatch = line.match(/\[download\] Downloading item (\d+) of (\d+)/);
+        if (itemMatch) {
+            start(parseInt(itemMatch[1]), parseInt(itemMatch[2]));
+            return true;
+        }
+        if (!current) return false;
+
+        const idMatch = line.match(/^\[[\w:]+\] ([\w-]+): Downloading /);
+        if (idMatch && !current.id) {
+            current.id = idMatch[1];
+            return false;
+        }
+
+        const destMatch = line.match(/\[download\] Destination: (.+)$/);
+        if (destMatch && !current.title) {
+            current.title = path.basename(destMatch[1]).replace(/^\d+ - /, '').replace(/_[\w-]+\.\w+$/, '');
+            return true;
+        }
+
+        const percentMatch = line.match(/\[download\]\s+(\d+\.?\d*)% of\s+~?\s*([\d.]+\w+)/);
+        if (percentMatch && current.status === 'downloading') {
+            current.percent = parseFloat(percentMatch[1]);
+            current.size = parseYtdlpSize(percentMatch[2]) || current.size;
+            return false;
+        }
+
+        if (/has already been recorded in (?:the )?archive/.test(line)) {
+            settleCurrent('skipped');
+            return true;
+        }
+        if (/\[download\] .+ has already been downloaded/.test(line)) {
+            settleCurrent('finished');
+            return true;
+        }
+        return false;
+    };
+
+    return {
+        snapshot,
+
+        /** Jumlah item yang berhasil (termasuk yang dilewati karena arsip) */
+        succeededCount: () => items.filter(item => ['finished', 'skipped'].includes(item.status)).length,
+
+        /** Item yang gagal beserta alasannya */
+        failedItems: () => items
+            .filter(item => item.status === 'failed')
+            .map(({ index, id, title, error }) => ({ index, id, title, error })),
+
+        /** Proses stdout; status item yang berubah langsung dikirim ke SSE */
+        handleOutput(output) {
+            const changed = output.split('\n').map(handleLine).some(Boolean);
+            if (changed) publish();
+        },
+
+        /** Proses stderr: "ERROR: [extractor] <id>: pesan" menandai item gagal */
+        handleError(output) {
+            let changed = false;
+            for (const match of output.matchAll(/ERROR: (?:\[[\w:]+\] ([\w-]+): )?(.+)/g)) {
+                const item = (match[1] && items.find(i => i.id === match[1])) || current;
+                if (!item) continue;
+                item.status = 'failed';
+                item.error = match[2].trim().substring(0, 200);
+                changed = true;
+            }
+            if (changed) publish();
+        },
+
+        /** Proses selesai: item yang masih berjalan ditutup sesuai hasilnya */
+        finish(success) {
+            if (!current) return;
+            if (success) {
+                settleCurrent('finished');
+            } else if (current.status === 'downloading') {
+                current.status = 'failed';
+                current.error = current.error || 'Download gagal';
+            }
+            publish();
+        }
+    };
+}
+
+// ============================================================
+// CLIP (RENTANG WAKTU)
+// ============================================================
+
+const MAX_CLIP_RANGES = 10;
+// Nama file klip menyertakan rentangnya, mis. "Judul_abc_00-01-05-00-01-35.mp4"
+const CLIP_NAME_SUFFIX = '_%(section_start>%H-%M-%S)s-%(section_end>%H-%M-%S)s';
+
+/**
+ * Detik (angka) atau "SS", "MM:SS", "HH:MM:SS(.ms)" -> detik, null kalau tidak valid
+ */
+function parseTimestamp(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) && value >= 0 ? value : null;
+    }
+    if (typeof value !== 'string') return null;
+
+    const parts = value.trim().split(':');
+    const valid = parts.length <= 3 && parts.every((part, i) =>
+        i === parts.length - 1 ? /^\d+(\.\d+)?$/.test(part) : /^\d+$/.test(part));
+    if (!valid) return null;
+
+    const numbers = parts.map(Number);
+    if (numbers.slice(1).some(n => n >= 60)) return null;
+    return numbers.reduce((total, n) => total * 60 + n, 0);
+}
+
+/**
+ * Validasi rentang klip, dicek terhadap durasi video kalau info masih di cache.
+ * Return { ranges } (urut dari awal) atau { error }
+ */
+function parseClipRanges(input, durationSeconds) {
+    if (!Array.isArray(input) || input.length === 0 || input.length > MAX_CLIP_RANGES) {
+        return { error: `Isi 1 sampai ${MAX_CLIP_RANGES} rentang waktu` };
+    }
+
+    const ranges = [];
+    for (const range of input) {
+        const start = parseTimestamp(range?.start);
+        const end = parseTimestamp(range?.end);
+        if (start === null || end === null) {
+            return { error: 'Format waktu tidak valid (detik atau HH:MM:SS)' };
+        }
+        if (end <= start) {
+            return { error: 'Waktu selesai harus setelah waktu mulai' };
+        }
+        if (durationSeconds && end > durationSeconds) {
+            return { error: `Rentang melewati durasi video (${formatDuration(durationSeconds)})` };
+        }
+        ranges.push({ start, end });
+    }
+    return { ranges: ranges.sort((a, b) => a.start - b.start) };
+}
+
+/**
+ * Argumen yt-dlp untuk download sebagian: satu --download-sections per rentang
+ */
+function getClipArgs(options) {
+    if (!options.ranges) return [];
+    return [
+        ...options.ranges.flatMap(range => ['--download-sections', `*${range.start}-${range.end}`]),
+        '--force-keyframes-at-cuts'
+    ];
+}
+
+// ============================================================
+// ENDPOINT: DOWNLOAD
+// ============================================================
+
+/**
+ * Validasi body request download dan susun opsi job.
+ * Return { options, startAt } atau { status, error } (dipakai juga oleh batch).
+ */
+function buildDownloadOptions(body) {
+    const { 
+        url, 
+        type, 
+        mode,
+        format, 
+        quality, 
+        merge, 
+        embedThumbnail, 
+        normalizeAudio,
+        replayGain,
+        customFilename,
+        downloadSubtitles,
+        subtitleLang,
+        highCompatibility,
+        priority,
+        title,
+        rateLimitKBps,
+        startAt,
+        forceDownload,
+        source,
+        episodes,
+        playlistItems,
+        ignoreErrors,
+        cueSheet,
+        trimSilence,
+        gapSeconds,
+        crossfadeSeconds,
+        splitChapters,
+        chapters,
+        ranges,
+        start,
+        end
+    } = body || {};
+
+    // Validasi URL
+    if (!isValidUrl(url)) {
+        return { status: 400, error: 'URL tidak valid' };
+    }
+
+    // Normalisasi type - handle jika frontend mengirim format sebagai type atau menggunakan mode
+    const audioFormats = ['mp3', 'm4a', 'wav', 'flac', 'opus'];
+    const videoFormats = ['mp4', 'webm', 'mkv'];
+    
+    let finalType = type || mode; // Support both 'type' and 'mode' field
+    
+    // Jika type adalah format audio, ubah ke 'audio'
+    if (audioFormats.includes(finalType)) {
+        finalType = 'audio';
+    }
+    // Jika type adalah format video, ubah ke 'video'
+    else if (videoFormats.includes(finalType)) {
+        finalType = 'video';
+    }
+
+    // Validasi type setelah normalisasi
+    if (!['video', 'audio'].includes(finalType)) {
+        return { status: 400, error: 'Tipe download tidak valid' };
+    }
+
+    // Validasi format
+    const validFormats = finalType === 'video' ? videoFormats : audioFormats;
+    if (!validFormats.includes(format)) {
+        return { status: 400, error: 'Format tidak valid' };
+    }
+
+    // Validasi quality untuk video
+    if (finalType === 'video') {
+        const validQualities = ['360', '480', '720', '1080', '1440', '2160', 'best'];
+        if (!validQualities.includes(quality)) {
+            return { status: 400, error: 'Kualitas tidak valid' };
+        }
+    }
+
+    // Loudness: normalisasi (encode ulang) atau tag ReplayGain, tidak keduanya
+    if (normalizeAudio === true && replayGain === true) {
+        return { status: 400, error: 'Pilih normalisasi atau ReplayGain, tidak keduanya' };
+    }
+    if (replayGain === true && finalType === 'audio' && !REPLAYGAIN_FORMATS.includes(format)) {
+        return { status: 400, error: `ReplayGain hanya untuk format ${REPLAYGAIN_FORMATS.join(', ').toUpperCase()}` };
+    }
+
+    // Merge video di-encode ulang ke H.264/AAC, tidak cocok untuk WebM
+    if (merge === true && finalType === 'video' && !VIDEO_MERGE_FORMATS.includes(format)) {
+        return { status: 400, error: 'Merge video hanya untuk format MP4 atau MKV' };
+    }
+
+    // Feed podcast: hanya audio, episode wajib dipilih
+    const isPodcast = source === 'podcast';
+    if (source !== undefined && source !== null && !isPodcast) {
+        return { status: 400, error: 'Sumber tidak valid' };
+    }
+    if (isPodcast) {
+        if (finalType !== 'audio') {
+            return { status: 400, error: 'Podcast hanya bisa didownload sebagai audio' };
+        }
+        if (!Array.isArray(episodes) || episodes.length === 0 || episodes.length > PODCAST_MAX_EPISODES ||
+            !episodes.every(id => typeof id === 'string' && id.length > 0 && id.length <= 500)) {
+            return { status: 400, error: `Pilih 1 sampai ${PODCAST_MAX_EPISODES} episode` };
+        }
+    }
+
+    // Item playlist terpilih (opsional)
+    let selectedItems = null;
+    if (playlistItems !== undefined && playlistItems !== null && !isPodcast) {
+        const { items, error } = resolvePlaylistItems(url, playlistItems);
+        if (error) {
+            return { status: 400, error };
+        }
+        selectedItems = items;
+    }
+
+    // Pisah per chapter: hanya audio dari satu video, pilihan chapter opsional (nomor mulai 1)
+    const wantsSplit = splitChapters === true;
+    if (wantsSplit) {
+        if (finalType !== 'audio' || merge === true || isPodcast || selectedItems || isPlaylistUrl(url)) {
+            return { status: 400, error: 'Pisah per chapter hanya untuk audio dari satu video' };
+        }
+        if (chapters !== undefined && chapters !== null &&
+            (!Array.isArray(chapters) || chapters.length === 0 || chapters.length > MAX_SPLIT_CHAPTERS ||
+             !chapters.every(n => Number.isInteger(n) && n >= 1 && n <= MAX_SPLIT_CHAPTERS))) {
+            return { status: 400, error: `Pilih 1 sampai ${MAX_SPLIT_CHAPTERS} chapter` };
+        }
+    }
+
+    // Merge audio: trim hening, jeda tetap atau crossfade antar track (detik)
+    const isMergeSeconds = (value, max) => value === undefined || value === null ||
+        (typeof value === 'number' && Number.isFinite(value) && value >= 0 && value <= max);
+    if (!isMergeSeconds(gapSeconds, MAX_MERGE_GAP_SECONDS)) {
+        return { status: 400, error: `Jeda antar track harus antara 0 dan ${MAX_MERGE_GAP_SECONDS} detik` };
+    }
+    if (!isMergeSeconds(crossfadeSeconds, MAX_CROSSFADE_SECONDS)) {
+        return { status: 400, error: `Crossfade harus antara 0 dan ${MAX_CROSSFADE_SECONDS} detik` };
+    }
+    if (gapSeconds > 0 && crossfadeSeconds > 0) {
+        return { status: 400, error: 'Pilih jeda atau crossfade, tidak keduanya' };
+    }
+    const mergesAudio = merge === true && finalType === 'audio' && !isPodcast;
+
+    // Klip: rentang waktu (ranges) atau singkatan start/end, hanya untuk satu video
+    const clipInput = ranges ?? (start !== undefined || end !== undefined ? [{ start, end }] : null);
+    let clipRanges = null;
+    if (clipInput !== null) {
+        if (isPodcast || selectedItems || isPlaylistUrl(url) || merge === true || wantsSplit) {
+            return { status: 400, error: 'Klip hanya untuk satu video, tanpa merge atau pisah chapter' };
+        }
+        const { ranges: parsed, error } = parseClipRanges(clipInput, getCachedInfo(url)?.durationSeconds);
+        if (error) {
+            return { status: 400, error };
+        }
+        clipRanges = parsed;
+    }
+
+    // Validasi prioritas antrian
+    if (priority !== undefined && PRIORITY_RANK[priority] === undefined) {
+        return { status: 400, error: 'Prioritas tidak valid (high, normal, low)' };
+    }
+
+    // Validasi batas kecepatan per job (KB/s, 0 = tanpa batas)
+    if (rateLimitKBps !== undefined && rateLimitKBps !== null &&
+        (!Number.isInteger(rateLimitKBps) || rateLimitKBps < 0 || rateLimitKBps > SETTINGS_SCHEMA.BANDWIDTH_LIMIT_KBPS.max)) {
+        return { status: 400, error: `Batas kecepatan harus antara 0 dan ${SETTINGS_SCHEMA.BANDWIDTH_LIMIT_KBPS.max} KB/s` };
+    }
+
+    // Validasi jadwal mulai (opsional)
+    const hasStartAt = startAt !== undefined && startAt !== null && startAt !== '';
+    const scheduledAt = hasStartAt ? parseStartAt(startAt) : null;
+    if (hasStartAt) {
+        const startError = validateStartAt(scheduledAt);
+        if (startError) {
+            return { status: 400, error: startError };
+        }
+    }
+
+    // Cek playlist merge limit
+    if (merge === true && url.includes('playlist?list=')) {
+        // Akan dicek lagi saat proses download
+    }
+
+    // Tolak URL yang sama yang masih di antrian / berjalan
+    // (episode / item / klip lain dari URL yang sama boleh diantrikan bersamaan)
+    const existingJob = forceDownload === true || isPodcast || selectedItems || clipRanges
+        ? null
+        : findActiveJobByUrl(url, finalType);
+    if (existingJob) {
+        return {
+            status: 409,
+            error: 'URL ini sudah ada di antrian',
+            downloadId: existingJob.downloadId
+        };
+    }
+
+    const sanitizedCustomName = customFilename ? sanitizeFilename(customFilename) : null;
+
+    const options = {
+        url: url.trim(),
+        type: finalType,
+        format,
+        quality: quality || 'best',
+        merge: merge === true && !isPodcast,
+        embedThumbnail: embedThumbnail !== false,
+        normalizeAudio: normalizeAudio === true,
+        replayGain: replayGain === true && finalType === 'audio',
+        customFilename: sanitizedCustomName,
+        downloadSubtitles: downloadSubtitles === true,
+        subtitleLang: subtitleLang || 'en',
+        highCompatibility: highCompatibility === true,
+        priority: priority || 'normal',
+        rateLimitKBps: rateLimitKBps || 0,
+        forceDownload: forceDownload === true,
+        ignoreErrors: ignoreErrors === true,
+        cueSheet: cueSheet === true && mergesAudio,
+        title: typeof title === 'string' ? title.trim().substring(0, 200) : null,
+        platform: normalizePlatform(getCachedInfo(url)?.platform) || getPlatformFromUrl(url),
+        ...(isPodcast && { source: 'podcast', episodes: [...new Set(episodes)] }),
+        ...(selectedItems && { playlistItems: selectedItems }),
+        ...(wantsSplit && {
+            splitChapters: true,
+            chapters: Array.isArray(chapters) ? [...new Set(chapters)].sort((a, b) => a - b) : null
+        }),
+        ...(mergesAudio && {
+            trimSilence: trimSilence === true,
+            gapSeconds: gapSeconds || 0,
+            crossfadeSeconds: crossfadeSeconds || 0
+        }),
+        ...(clipRanges && { ranges: clipRanges })
+    };
+
+    return { options, startAt: scheduledAt };
+}
+
+app.post('/api/download', downloadLimiter, async (req, res) => {
+    const { options, startAt, status, error, downloadId: existingId } = buildDownloadOptions(req.body);
+    if (error) {
+        return res.status(status).json(existingId ? { error, downloadId: existingId } : { error });
+    }
+
+    log.info(`Request download: ${options.type}/${options.format} - ${options.url.substring(0, 50)}...`);
+    const downloadId = createDownloadJob(options, startAt);
+
+    if (startAt) {
+        return res.json({ downloadId, startAt, message: 'Download dijadwalkan' });
+    }
+    res.json({ downloadId, message: 'Download dimulai' });
+});
+
+// ============================================================
+// ENDPOINT: BATCH DOWNLOAD
+// ============================================================
+// Banyak URL sekaligus dengan opsi bersama. Tiap item boleh berupa
+// string URL atau object { url, ...override }. Item yang tidak valid
+// dilaporkan per item tanpa membatalkan seluruh batch.
+
+app.post('/api/batch', downloadLimiter, (req, res) => {
+    const { urls, options: shared = {} } = req.body || {};
+
+    if (!Array.isArray(urls) || urls.length === 0) {
+        return res.status(400).json({ error: 'Daftar URL kosong' });
+    }
+    if (urls.length > CONFIG.MAX_BATCH_URLS) {
+        return res.status(400).json({ error: `Maksimal ${CONFIG.MAX_BATCH_URLS} URL per batch` });
+    }
+    if (!shared || typeof shared !== 'object' || Array.isArray(shared)) {
+        return res.status(400).json({ error: 'Opsi batch tidak valid' });
+    }
+
+    const jobs = [];
+    const errors = [];
+
+    urls.forEach((item, index) => {
+        const override = typeof item === 'string' ? { url: item } : item;
+        if (!override || typeof override !== 'object' || Array.isArray(override)) {
+            errors.push({ index, url: null, error: 'Item tidak valid' });
+            return;
+        }
+
+        const { options, startAt, error, downloadId: existingId } = buildDownloadOptions({ ...shared, ...override, url: override.url });
+        if (error) {
+            errors.push({
+                index,
+                url: typeof override.url === 'string' ? override.url : null,
+                error,
+                ...(existingId && { downloadId: existingId })
+            });
+            return;
+        }
+
+        const downloadId = createDownloadJob(options, startAt);
+        jobs.push({ index, url: options.url, downloadId, ...(startAt && { startAt }) });
+    });
+
+    log.info(`Batch download: ${jobs.length} job dibuat, ${errors.length} ditolak`);
+    res.json({ jobs, errors, accepted: jobs.length, rejected: errors.length });
+});
+
+// ============================================================
+// ENDPOINT: CANCEL DOWNLOAD
+// ============================================================
+
+app.post('/api/cancel/:id', (req, res) => {
+    const { id } = req.params;
+    
+    log.info(`Cancel request untuk ${id.slice(0, 8)}`);
+    
+    // Cek di queue / jadwal
+    if (removeFromQueue(id) || unscheduleDownload(id)) {
+        updateProgress(id, {
+            status: 'cancelled',
+            progress: 0,
+            message: 'Download dibatalkan dari antrian',
+            canCancel: false
+        });
+        log.success(`Download ${id.slice(0, 8)} dibatalkan dari antrian`);
+        return res.json({ success: true, message: 'Download dibatalkan dari antrian' });
+    }
+    
+    // Cek job terputus / gagal yang masih bisa dilanjutkan
+    if (jobStore.has(id) && downloadProgress.get(id)?.resumable) {
+        cleanupDir(getJobWorkDir(id));
+        updateProgress(id, {
+            status: 'cancelled',
+            progress: 0,
+            message: 'Download dibatalkan',
+            canCancel: false,
+            resumable: false
+        });
+        log.success(`Download ${id.slice(0, 8)} dibatalkan`);
+        return res.json({ success: true, message: 'Download dibatalkan' });
+    }
+    
+    // Cek di active processes
+    const processInfo = activeProcesses.get(id);
+    if (processInfo) {
+        try {
+            processInfo.cancelled = true;
+            processInfo.restart = false;
+            
+            // Kill semua process (yt-dlp dan ffmpeg)
+            if (processInfo.process && !processInfo.process.killed) {
+                processInfo.process.kill('SIGTERM');
+                // Force kill setelah 5 detik
+                setTimeout(() => {
+                    try {
+                        if (processInfo.process && !processInfo.process.killed) {
+                            processInfo.process.kill('SIGKILL');
+                        }
+                    } catch {}
+                }, 5000);
+            }
+            
+            if (processInfo.ffmpegProcess && !processInfo.ffmpegProcess.killed) {
+                processInfo.ffmpegProcess.kill('SIGTERM');
+            }
+            
+            // Cleanup temp folder
+            if (processInfo.tempDir) {
+                cleanupDir(processInfo.tempDir);
+            }
+            
+            // Clear timeout
+            clearTimeout(downloadTimeouts.get(id));
+            downloadTimeouts.delete(id);
+            
+            updateProgress(id, {
+                status: 'cancelled',
+                progress: 0,
+                message: 'Download dibatalkan',
+                canCancel: false,
+                resumable: false
+            });
+            
+            log.success(`Download ${id.slice(0, 8)} dibatalkan`);
+            return res.json({ success: true, message: 'Download dibatalkan' });
+        } catch (err) {
+            log.error(`Cancel error: ${err.message}`);
+            return res.status(500).json({ error: 'Gagal membatalkan download' });
+        }
+    }
+    
+    res.status(404).json({ error: 'Download tidak ditemukan' });
+});
 
-                res.json({
-                    isPlaylist: true,
-                    videoCount: videos.length,
-                    title: firstVideo.playlist_title || `Playlist (${videos.length} video)`,
-                    thumbnail: firstVideo.thumbnail || firstVideo.thumbnails?.[0]?.url,
-                    duration: formatDuration(totalDuration),
-                    durationSeconds: totalDuration,
-                    channel: firstVideo.uploader || firstVideo.channel || 'Unknown',
-                    estimatedSize: null,
-                    isLongDuration: totalDuration > CONFIG.LONG_DURATION_WARNING_SEC,
-                    canMerge: videos.length <= CONFIG.MAX_PLAYLIST_MERGE,
-                    platform: firstVideo.extractor || firstVideo.extractor_key || 'Unknown',
-                    videos: videos.slice(0, 100).map(v => ({
-                        id: v.id,
-                        title: v.title,
-                        duration: formatDuration(v.duration),
-                        thumbnail: v.thumbnail
-                    }))
+// ============================================================
+// ENDPOINT: SSE PROGRESS
+// ============================================================
+
+app.get('/api/progress/:id', (req, res) => {
+    const { id } = req.params;
+
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders();
+
+    // Kirim progress awal
+    const currentProgress = downloadProgress.get(id);
+    if (currentProgress) {
+        res.write(`data: ${JSON.stringify(currentProgress)}\n\n`);
+    } else {
+        res.write(`data: ${JSON.stringify({ status: 'unknown', message: 'Download tidak ditemukan' })}\n\n`);
+    }
+
+    // Register client
+    if (!sseClients.has(id)) {
+        sseClients.set(id, new Set());
+    }
+    sseClients.get(id).add(res);
+
+    // Heartbeat untuk keep connection alive
+    const heartbeat = setInterval(() => {
+        try {
+            res.write(': heartbeat\n\n');
+        } catch (err) {
+            clearInterval(heartbeat);
+            cleanupSSEClient(id, res);
+        }
+    }, CONFIG.HEARTBEAT_INTERVAL_MS);
+
+    // Cleanup saat client disconnect
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        cleanupSSEClient(id, res);
+    });
+
+    req.on('error', () => {
+        clearInterval(heartbeat);
+        cleanupSSEClient(id, res);
+    });
+});
+
+// ============================================================
+// PROSES DOWNLOAD
+// ============================================================
+
+async function processDownload(downloadId, options) {
+    const { type } = options;
+    const startTime = Date.now();
+    
+    const job = jobStore.get(downloadId);
+    if (job) job.startedAt = startTime;
+
+    // Working folder per job - file .part disimpan di sini agar bisa dilanjutkan
+    const workDir = getJobWorkDir(downloadId);
+    fs.mkdirSync(workDir, { recursive: true });
+
+    // Setup timeout (default 30 menit)
+    const timeoutId = setTimeout(() => {
+        const processInfo = activeProcesses.get(downloadId);
+        if (processInfo && !processInfo.cancelled) {
+            log.warn(`Download ${downloadId.slice(0, 8)} timeout setelah ${Math.round(CONFIG.DOWNLOAD_TIMEOUT_MS / 60000)} menit`);
+            processInfo.cancelled = true;
+            
+            // Kill process (file parsial di working folder tetap disimpan)
+            if (processInfo.process && !processInfo.process.killed) {
+                processInfo.process.kill('SIGTERM');
+            }
+            if (processInfo.ffmpegProcess && !processInfo.ffmpegProcess.killed) {
+                processInfo.ffmpegProcess.kill('SIGTERM');
+            }
+            
+            updateProgress(downloadId, {
+                status: 'error',
+                progress: 0,
+                message: `Download timeout (melebihi ${Math.round(CONFIG.DOWNLOAD_TIMEOUT_MS / 60000)} menit). Bisa dilanjutkan.`,
+                canCancel: false,
+                resumable: true
+            });
+        }
+    }, CONFIG.DOWNLOAD_TIMEOUT_MS);
+    
+    downloadTimeouts.set(downloadId, timeoutId);
+
+    try {
+        const attempt = jobStore.get(downloadId)?.attempt || 1;
+        updateProgress(downloadId, {
+            status: 'starting',
+            progress: 0,
+            message: attempt > 1
+                ? `Memulai download (percobaan ${attempt} dari ${CONFIG.RETRY_MAX_ATTEMPTS})...`
+                : 'Memulai download...',
+            attempt,
+            maxAttempts: CONFIG.RETRY_MAX_ATTEMPTS,
+            canCancel: true,
+            resumable: false
+        });
+
+        if (options.source === 'podcast') {
+            await downloadPodcast(downloadId, options, workDir);
+        } else if (type === 'video') {
+            await downloadVideo(downloadId, options, workDir);
+        } else {
+            await downloadAudio(downloadId, options, workDir);
+        }
+        
+        cleanupDir(workDir);
+        
+        // yt-dlp mungkin menambah entry arsip baru
+        loadDownloadArchive();
+        
+        // Log durasi download
+        const duration = (Date.now() - startTime) / 1000;
+        log.duration(downloadId, duration);
+        
+    } catch (err) {
+        const processInfo = activeProcesses.get(downloadId);
+        if (!processInfo?.cancelled) {
+            handleDownloadFailure(downloadId, options, err);
+        }
+    } finally {
+        clearTimeout(timeoutId);
+        downloadTimeouts.delete(downloadId);
+    }
+}
+
+// ============================================================
+// DOWNLOAD VIDEO
+// ============================================================
+
+async function downloadVideo(downloadId, options, workDir) {
+    const { url, quality, format, merge, embedThumbnail, customFilename, downloadSubtitles, subtitleLang, highCompatibility } = options;
+    const isPlaylist = !!options.playlistItems || isPlaylistUrl(url);
+
+    await checkMergeLimit(options);
+
+    return new Promise((resolve, reject) => {
+        updateProgress(downloadId, {
+            status: 'downloading_video',
+            progress: 0,
+            message: highCompatibility ? 'Mengunduh video (High Compatibility)...' : 'Mengunduh video...'
+        });
+
+        let formatString;
+        const numericQuality = parseInt(quality, 10);
+        
+        if (!isNaN(numericQuality) && numericQuality > 0) {
+            // Dynamic resolution with comprehensive fallback chain
+            formatString = `bestvideo[height<=${numericQuality}]+bestaudio/best[height<=${numericQuality}]/bestvideo+bestaudio/best`;
+        } else {
+            // 'best' or invalid quality - get best available
+            formatString = 'bestvideo+bestaudio/best';
+        }
+
+        // Output template - playlist masuk subfolder (nama playlist / nama custom)
+        // dengan nomor urut sesuai posisi di playlist. Untuk merge file tetap
+        // di working folder, nomor urut menentukan urutan dan judul chapter.
+        let outputName;
+        if (merge) {
+            outputName = '%(playlist_index)03d - %(title).100s.%(ext)s';
+        } else if (isPlaylist) {
+            outputName = path.join(customFilename || '%(playlist_title).100s', '%(playlist_index)03d - %(title).100s_%(id)s.%(ext)s');
+        } else {
+            const clipSuffix = options.ranges ? CLIP_NAME_SUFFIX : '';
+            outputName = customFilename 
+                ? `${customFilename}_%(id)s${clipSuffix}.%(ext)s`
+                : `%(title).100s_%(id)s${clipSuffix}.%(ext)s`;
+        }
+        const outputTemplate = path.join(workDir, outputName);
+        
+        const args = [
+            '-f', formatString,
+            '--merge-output-format', format || 'mp4',
+            '-o', outputTemplate,
+            '--continue',
+            '--newline',
+            '--no-warnings',
+            ...getPlaylistArgs(options, isPlaylist || merge),
+            '--add-metadata',
+            '--socket-timeout', '30',
+            '--retries', '5',
+            '--fragment-retries', '5',
+            '--no-check-certificates'
+        ];
+
+        if (embedThumbnail) {
+            args.push('--embed-thumbnail');
+        }
+        
+        args.push(...getArchiveArgs(options));
+        args.push(...getClipArgs(options));
+        
+        // Subtitle download
+        if (downloadSubtitles) {
+            args.push('--write-subs');
+            args.push('--sub-lang', subtitleLang || 'en');
+            args.push('--convert-subs', 'srt');
+        }
+
+        // High Compatibility Mode - recode to H.264/AAC for universal playback
+        if (highCompatibility) {
+            args.push('--recode-video', 'mp4');
+            args.push('--postprocessor-args', `${FFMPEG_PATH}:-c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k`);
+        }
+
+        // Bandwidth limit
+        const rateLimitKBps = getJobRateLimit(options);
+        const rateNote = rateLimitKBps ? ` (maks ${rateLimitKBps} KB/s)` : '';
+        if (rateLimitKBps) {
+            args.push('--limit-rate', `${rateLimitKBps}K`);
+        }
+
+        args.push(url);
+
+        const ytdlp = spawn(YTDLP_PATH, args);
+        
+        activeProcesses.set(downloadId, { 
+            process: ytdlp, 
+            cancelled: false,
+            tempDir: workDir,
+            rateLimitKBps,
+            startedAt: Date.now()
+        });
+
+        let lastProgressUpdate = 0;
+        let totalVideos = 0;
+        let currentVideo = 0;
+        let stderrTail = '';    // Untuk klasifikasi error (retry)
+        const skipped = [];     // Video yang sudah ada di arsip
+        const tracker = isPlaylist ? createItemTracker(downloadId, options) : null;
+
+        ytdlp.stdout.on('data', (data) => {
+            const output = data.toString();
+            const processInfo = activeProcesses.get(downloadId);
+            if (processInfo?.cancelled) return;
+            
+            skipped.push(...parseArchiveSkips(output));
+            tracker?.handleOutput(output);
+            
+            // Playlist progress
+            const playlistMatch = output.match(/\[download\] Downloading item (\d+) of (\d+)/);
+            if (playlistMatch) {
+                currentVideo = parseInt(playlistMatch[1]);
+                totalVideos = parseInt(playlistMatch[2]);
+            }
+            
+            // Parse progress dengan regex yang lebih akurat (throttled 500ms)
+            const now = Date.now();
+            if (now - lastProgressUpdate > 500) {
+                const progressMatch = output.match(/\[download\]\s+(\d+\.?\d*)%/);
+                if (progressMatch) {
+                    const itemPercent = parseFloat(progressMatch[1]);
+                    let percent = itemPercent;
+                    
+                    if (totalVideos > 1) {
+                        percent = ((currentVideo - 1) / totalVideos) * 100 + itemPercent / totalVideos;
+                    }
+                    
+                    updateProgress(downloadId, {
+                        status: 'downloading_video',
+                        progress: Math.min(percent * 0.85, 85),
+                        message: totalVideos > 1
+                            ? `Mengunduh video ${currentVideo}/${totalVideos}: ${itemPercent.toFixed(1)}%${rateNote}`
+                            : `Mengunduh video: ${itemPercent.toFixed(1)}%${rateNote}`,
+                        ...(tracker && { items: tracker.snapshot() })
+                    });
+                    lastProgressUpdate = now;
+                }
+            }
+
+            // Status updates
+            if (output.includes('[Merger]') || output.includes('Merging formats')) {
+                updateProgress(downloadId, {
+                    status: 'postprocessing',
+                    progress: 88,
+                    message: 'Menggabungkan video dan audio...'
+                });
+            }
+
+            if (output.includes('[EmbedThumbnail]')) {
+                updateProgress(downloadId, {
+                    status: 'embedding_metadata',
+                    progress: 92,
+                    message: 'Menyematkan thumbnail...'
+                });
+            }
+
+            if (output.includes('[Metadata]') || output.includes('Adding metadata')) {
+                updateProgress(downloadId, {
+                    status: 'embedding_metadata',
+                    progress: 95,
+                    message: 'Menambahkan metadata...'
+                });
+            }
+            
+            if (output.includes('[SubtitlesConvertor]')) {
+                updateProgress(downloadId, {
+                    status: 'postprocessing',
+                    progress: 93,
+                    message: 'Mengkonversi subtitle...'
                 });
+            }
+        });
+
+        ytdlp.stderr.on('data', (data) => {
+            const error = data.toString();
+            stderrTail = (stderrTail + error).slice(-4000);
+            tracker?.handleError(error);
+            if (!error.includes('WARNING')) {
+                log.warn(`yt-dlp: ${error.trim().substring(0, 100)}`);
+            }
+        });
+
+        ytdlp.on('close', async (code) => {
+            const processInfo = activeProcesses.get(downloadId);
+            if (processInfo?.cancelled) {
+                reject(new Error('Download dibatalkan'));
+                return;
+            }
+
+            // Mode ignore-errors: yt-dlp tetap exit non-zero kalau ada item gagal,
+            // job dianggap berhasil selama masih ada item yang jadi
+            const ignoringErrors = !!tracker && options.ignoreErrors;
+            tracker?.finish(code === 0 || ignoringErrors);
+            const failedItems = tracker ? tracker.failedItems() : [];
+
+            if (code === 0 || (ignoringErrors && tracker.succeededCount() > 0)) {
+                // Merge / finalisasi menulis ke folder downloads - tidak bisa dijeda
+                if (processInfo) processInfo.postProcessing = true;
+                try {
+                    let mergedFile = null;
+                    if (merge) {
+                        updateProgress(downloadId, {
+                            status: 'merging_playlist',
+                            progress: 88,
+                            message: 'Menggabungkan video playlist...'
+                        });
+                        mergedFile = await mergeVideoFiles(downloadId, workDir, downloadsDir, format, customFilename);
+                    }
+
+                    // Finalizing stage
+                    updateProgress(downloadId, {
+                        status: 'finalizing',
+                        progress: 98,
+                        message: 'Memfinalisasi file...'
+                    });
+                    
+                    const files = mergedFile
+                        ? [{
+                            name: path.basename(mergedFile),
+                            url: `/downloads/${encodeURIComponent(path.basename(mergedFile))}`,
+                            size: fs.statSync(mergedFile).size
+                        }]
+                        : moveWorkFiles(workDir, downloadsDir);
+                    
+                    updateProgress(downloadId, {
+                        status: 'finished',
+                        progress: 100,
+                        message: getFinishedMessage(files, skipped, failedItems, merge ? 'Download dan merge selesai!' : undefined),
+                        files,
+                        skipped,
+                        failedItems,
+                        canCancel: false
+                    });
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
             } else {
-                const info = JSON.parse(output);
-                
-                // Estimasi ukuran file
-                let estimatedSize = info.filesize || info.filesize_approx;
-                if (!estimatedSize && info.formats) {
-                    const bestFormat = info.formats
-                        .filter(f => f.filesize || f.filesize_approx)
-                        .sort((a, b) => (b.filesize || b.filesize_approx || 0) - (a.filesize || a.filesize_approx || 0))[0];
-                    estimatedSize = bestFormat?.filesize || bestFormat?.filesize_approx;
+                const error = new Error('Download video gagal');
+                error.stderr = stderrTail;
+                reject(error);
+            }
+        });
+
+        ytdlp.on('error', (err) => {
+            reject(new Error(`yt-dlp error: ${err.message}`));
+        });
+    });
+}
+
+// ============================================================
+// DOWNLOAD AUDIO
+// ============================================================
+
+function downloadAudio(downloadId, options, workDir) {
+    const { url, format, merge, embedThumbnail, normalizeAudio, replayGain, customFilename, splitChapters } = options;
+
+    return new Promise(async (resolve, reject) => {
+        try {
+            await checkMergeLimit(options);
+
+            updateProgress(downloadId, {
+                status: 'downloading_audio',
+                progress: 0,
+                message: 'Mengunduh audio...'
+            });
+
+            // Output template (pisah chapter: file sumber sementara, dipotong setelah download;
+            // merge: nomor urut menentukan urutan dan judul chapter)
+            const clipSuffix = options.ranges ? CLIP_NAME_SUFFIX : '';
+            let outputName = customFilename 
+                ? `${customFilename}_%(id)s${clipSuffix}.%(ext)s`
+                : `%(title).100s_%(id)s${clipSuffix}.%(ext)s`;
+            if (splitChapters) {
+                outputName = `${CHAPTER_SOURCE_NAME}.%(ext)s`;
+            } else if (merge) {
+                outputName = '%(playlist_index)03d - %(title).100s.%(ext)s';
+            }
+            
+            const outputTemplate = path.join(workDir, outputName);
+
+            const args = [
+                '-x',
+                '--audio-format', format,
+                '-o', outputTemplate,
+                '--continue',
+                '--newline',
+                '--no-warnings',
+                '--add-metadata',
+                '--parse-metadata', 'uploader:%(artist)s',
+                '--socket-timeout', '30',
+                '--retries', '5',
+                '--no-check-certificates'
+            ];
+            
+            if (format === 'mp3') {
+                args.push('--audio-quality', '0'); // Best quality (320kbps untuk MP3)
+            }
+
+            if (splitChapters) {
+                // Chapter + judul dibaca dari info.json, cover dipasang ke tiap track
+                args.push('--write-info-json');
+                if (embedThumbnail && COVER_ART_FORMATS.includes(format)) {
+                    args.push('--write-thumbnail', '--convert-thumbnails', 'jpg');
                 }
-                
-                // Cek ketersediaan subtitle
-                const hasSubtitles = !!(info.subtitles && Object.keys(info.subtitles).length > 0);
-                const availableSubtitles = hasSubtitles ? Object.keys(info.subtitles) : [];
+            } else if (embedThumbnail && !['wav'].includes(format)) {
+                args.push('--embed-thumbnail');
+            }
 
-                // Extract available qualities
-                const { resolutions, audioCodecs, hasVideoFormats } = extractAvailableQualities(info.formats);
+            const isPlaylist = !!options.playlistItems || isPlaylistUrl(url);
+            args.push(...getPlaylistArgs(options, merge || isPlaylist));
 
-                // Check file size limit
-                const fileSizeExceeded = estimatedSize && estimatedSize > CONFIG.MAX_FILE_SIZE_BYTES;
+            args.push(...getArchiveArgs(options));
+            args.push(...getClipArgs(options));
 
-                res.json({
-                    isPlaylist: false,
-                    videoCount: 1,
-                    title: info.title || 'Unknown',
-                    thumbnail: info.thumbnail,
-                    duration: formatDuration(info.duration),
-                    durationSeconds: info.duration,
-                    channel: info.uploader || info.channel || 'Unknown',
-                    estimatedSize,
-                    fileSizeExceeded,
-                    viewCount: info.view_count,
-                    uploadDate: info.upload_date,
-                    description: info.description?.substring(0, 200),
-                    isLongDuration: (info.duration || 0) > CONFIG.LONG_DURATION_WARNING_SEC,
-                    hasSubtitles,
-                    availableSubtitles: availableSubtitles.slice(0, 20),
-                    platform: info.extractor || info.extractor_key || 'Unknown',
-                    availableResolutions: resolutions,
-                    availableAudioCodecs: audioCodecs,
-                    hasVideoFormats
-                });
+            // Bandwidth limit
+            const rateLimitKBps = getJobRateLimit(options);
+            const rateNote = rateLimitKBps ? ` (maks ${rateLimitKBps} KB/s)` : '';
+            if (rateLimitKBps) {
+                args.push('--limit-rate', `${rateLimitKBps}K`);
             }
+
+            args.push(url);
+
+            const ytdlp = spawn(YTDLP_PATH, args);
+            
+            activeProcesses.set(downloadId, { 
+                process: ytdlp, 
+                cancelled: false,
+                tempDir: workDir,
+                rateLimitKBps,
+                startedAt: Date.now()
+            });
+
+            let totalVideos = 0;
+            let currentVideo = 0;
+            let lastProgressUpdate = 0;
+            let stderrTail = '';    // Untuk klasifikasi error (retry)
+            const skipped = [];     // Video yang sudah ada di arsip
+            const tracker = isPlaylist ? createItemTracker(downloadId, options) : null;
+
+            ytdlp.stdout.on('data', (data) => {
+                const output = data.toString();
+                const processInfo = activeProcesses.get(downloadId);
+                if (processInfo?.cancelled) return;
+
+                skipped.push(...parseArchiveSkips(output));
+                tracker?.handleOutput(output);
+
+                // Playlist progress
+                const playlistMatch = output.match(/\[download\] Downloading item (\d+) of (\d+)/);
+                if (playlistMatch) {
+                    currentVideo = parseInt(playlistMatch[1]);
+                    totalVideos = parseInt(playlistMatch[2]);
+                }
+
+                // Download progress dengan regex akurat (throttled)
+                const now = Date.now();
+                if (now - lastProgressUpdate > 500) {
+                    const progressMatch = output.match(/\[download\]\s+(\d+\.?\d*)%/);
+                    if (progressMatch) {
+                        let percent = parseFloat(progressMatch[1]);
+                        
+                        if (totalVideos > 1) {
+                            const baseProgress = ((currentVideo - 1) / totalVideos) * 100;
+                            const videoProgress = (percent / 100) * (100 / totalVideos);
+                            percent = baseProgress + videoProgress;
+                        }
+                        
+                        percent = Math.min(percent * 0.80, 80);
+
+                        updateProgress(downloadId, {
+                            status: 'downloading_audio',
+                            progress: percent,
+                            message: totalVideos > 1 
+                                ? `Mengunduh ${currentVideo}/${totalVideos}: ${parseFloat(progressMatch[1]).toFixed(1)}%${rateNote}`
+                                : `Mengunduh audio: ${parseFloat(progressMatch[1]).toFixed(1)}%${rateNote}`,
+                            ...(tracker && { items: tracker.snapshot() })
+                        });
+                        lastProgressUpdate = now;
+                    }
+                }
+
+                // Status updates
+                if (output.includes('[ExtractAudio]')) {
+                    updateProgress(downloadId, {
+                        status: 'converting_audio',
+                        progress: 85,
+                        message: `Mengkonversi ke ${format.toUpperCase()}...`
+                    });
+                }
+
+                if (output.includes('[EmbedThumbnail]')) {
+                    updateProgress(downloadId, {
+                        status: 'embedding_metadata',
+                        progress: 90,
+                        message: 'Menyematkan cover art...'
+                    });
+                }
+
+                if (output.includes('[Metadata]')) {
+                    updateProgress(downloadId, {
+                        status: 'embedding_metadata',
+                        progress: 93,
+                        message: 'Menambahkan metadata...'
+                    });
+                }
+            });
+
+            ytdlp.stderr.on('data', (data) => {
+                const error = data.toString();
+                stderrTail = (stderrTail + error).slice(-4000);
+                tracker?.handleError(error);
+                if (!error.includes('WARNING')) {
+                    log.warn(`yt-dlp: ${error.trim().substring(0, 100)}`);
+                }
+            });
+
+            ytdlp.on('close', async (code) => {
+                const processInfo = activeProcesses.get(downloadId);
+                if (processInfo?.cancelled) {
+                    reject(new Error('Download dibatalkan'));
+                    return;
+                }
+
+                const ignoringErrors = !!tracker && options.ignoreErrors;
+                tracker?.finish(code === 0 || ignoringErrors);
+                const failedItems = tracker ? tracker.failedItems() : [];
+
+                if (code !== 0 && !(ignoringErrors && tracker.succeededCount() > 0)) {
+                    const error = new Error('Download audio gagal');
+                    error.stderr = stderrTail;
+                    reject(error);
+                    return;
+                }
+
+                // Merge / finalisasi menulis ke folder downloads - tidak bisa dijeda
+                if (processInfo) processInfo.postProcessing = true;
+                try {
+                    if (merge) {
+                        updateProgress(downloadId, {
+                            status: 'merging_playlist',
+                            progress: 95,
+                            message: 'Menggabungkan file audio playlist...'
+                        });
+
+                        // File audio gabungan + tracklist/cue sheet di sampingnya
+                        const mergedFiles = await mergeAudioFiles(downloadId, workDir, downloadsDir, options);
+                        if (replayGain) {
+                            await applyReplayGain(downloadId, mergedFiles.slice(0, 1), format);
+                        }
+                        
+                        // Finalizing
+                        updateProgress(downloadId, {
+                            status: 'finalizing',
+                            progress: 98,
+                            message: 'Memfinalisasi file...'
+                        });
+
+                        updateProgress(downloadId, {
+                            status: 'finished',
+                            progress: 100,
+                            message: getFinishedMessage(mergedFiles, skipped, failedItems, 'Download dan merge selesai!'),
+                            files: mergedFiles.map(file => ({
+                                name: path.basename(file),
+                                url: `/downloads/${encodeURIComponent(path.basename(file))}`,
+                                size: fs.statSync(file).size
+                            })),
+                            failedItems,
+                            canCancel: false
+                        });
+                    } else {
+                        // Pisah chapter: track hasil potongan ada di folder tersendiri
+                        const outputDir = splitChapters
+                            ? await splitAudioChapters(downloadId, workDir, options)
+                            : workDir;
+
+                        // Track per chapter sudah dinormalisasi saat dipotong
+                        const audioFiles = listAudioFiles(outputDir, format);
+                        if (normalizeAudio && !splitChapters) {
+                            for (const [index, file] of audioFiles.entries()) {
+                                updateProgress(downloadId, {
+                                    status: 'converting_audio',
+                                    progress: 94,
+                                    message: `Normalisasi loudness (${index + 1}/${audioFiles.length})...`
+                                });
+                                await normalizeAudioFile(downloadId, file, format);
+                            }
+                        }
+                        if (replayGain) {
+                            await applyReplayGain(downloadId, audioFiles, format);
+                        }
+
+                        // Finalizing
+                        updateProgress(downloadId, {
+                            status: 'finalizing',
+                            progress: 98,
+                            message: 'Memfinalisasi file...'
+                        });
+                        
+                        const files = moveWorkFiles(outputDir, downloadsDir);
+                        
+                        updateProgress(downloadId, {
+                            status: 'finished',
+                            progress: 100,
+                            message: getFinishedMessage(files, skipped, failedItems),
+                            files,
+                            skipped,
+                            failedItems,
+                            canCancel: false
+                        });
+                    }
+                    resolve();
+                } catch (err) {
+                    reject(err);
+                }
+            });
+
+            ytdlp.on('error', (err) => {
+                reject(new Error(`yt-dlp error: ${err.message}`));
+            });
+
         } catch (err) {
-            log.error(`Parse info error: ${err.message}`);
-            res.status(500).json({ error: 'Gagal memproses info video' });
+            reject(err);
         }
     });
-
-    ytdlp.on('error', (err) => {
-        clearTimeout(timeout);
-        if (responded) return;
-        responded = true;
-        log.error(`yt-dlp spawn error: ${err.message}`);
-        res.status(500).json({ error: 'yt-dlp tidak ditemukan. Pastikan sudah terinstall.' });
-    });
-});
+}
 
 // ============================================================
-// QUALITY DETECTION HELPERS
+// DOWNLOAD PODCAST
 // ============================================================
 
-function extractAvailableQualities(formats) {
-    if (!formats || !Array.isArray(formats)) {
-        return { resolutions: [], audioCodecs: [], hasVideoFormats: false };
-    }
-
-    // Check if any video formats exist (even without height)
-    const hasVideoFormats = formats.some(f => f.vcodec && f.vcodec !== 'none');
-
-    // Extract unique video resolutions (height) where vcodec is not 'none'
-    const resolutions = [...new Set(
-        formats
-            .filter(f => f.height && f.vcodec && f.vcodec !== 'none')
-            .map(f => f.height)
-    )].sort((a, b) => b - a); // Sort descending
-
-    // Extract unique audio codecs where acodec is not 'none'
-    const audioCodecs = [...new Set(
-        formats
-            .filter(f => f.acodec && f.acodec !== 'none')
-            .map(f => f.acodec)
-    )];
-
-    return { resolutions, audioCodecs, hasVideoFormats };
-}
+const AUDIO_CODEC_ARGS = {
+    mp3: ['-c:a', 'libmp3lame', '-q:a', '2'],
+    m4a: ['-c:a', 'aac', '-b:a', '192k'],
+    flac: ['-c:a', 'flac'],
+    wav: ['-c:a', 'pcm_s16le'],
+    opus: ['-c:a', 'libopus', '-b:a', '128k']
+};
+const AUDIO_MUXERS = { mp3: 'mp3', m4a: 'ipod', flac: 'flac', wav: 'wav', opus: 'opus' };
+const COVER_ART_FORMATS = ['mp3', 'm4a', 'flac'];
 
-function formatDuration(seconds) {
-    if (!seconds || isNaN(seconds)) return '--:--';
-    seconds = Math.floor(seconds);
-    const h = Math.floor(seconds / 3600);
-    const m = Math.floor((seconds % 3600) / 60);
-    const s = seconds % 60;
-    if (h > 0) {
-        return `${h}:${m.toString().padStart(2, '0')}:${s.toString().padStart(2, '0')}`;
+/**
+ * Format asli enclosure (dari MIME type atau ekstensi URL)
+ */
+function getEnclosureFormat(episode) {
+    const mime = (episode.mimeType || '').toLowerCase();
+    if (mime === 'audio/mpeg' || mime === 'audio/mp3') return 'mp3';
+    if (['audio/mp4', 'audio/x-m4a', 'audio/m4a'].includes(mime)) return 'm4a';
+    try {
+        return path.extname(new URL(episode.url).pathname).slice(1).toLowerCase() || null;
+    } catch {
+        return null;
     }
-    return `${m}:${s.toString().padStart(2, '0')}`;
 }
 
-// ============================================================
-// ENDPOINT: DOWNLOAD
-// ============================================================
-
-app.post('/api/download', downloadLimiter, async (req, res) => {
-    const { 
-        url, 
-        type, 
-        mode,
-        format, 
-        quality, 
-        merge, 
-        embedThumbnail, 
-        normalizeAudio,
-        customFilename,
-        downloadSubtitles,
-        subtitleLang,
-        highCompatibility
-    } = req.body;
-
-    // Validasi URL
-    if (!isValidUrl(url)) {
-        return res.status(400).json({ error: 'URL tidak valid' });
-    }
+/**
+ * Download satu file ke destPath. File .part yang sudah ada dilanjutkan
+ * dengan header Range. Kecepatan dibatasi sesuai rateLimitKBps.
+ */
+async function downloadHttpFile(url, destPath, { handle, rateLimitKBps = 0, onProgress } = {}) {
+    const existing = fs.existsSync(destPath) ? fs.statSync(destPath).size : 0;
+    let res;
+    try {
+        res = await httpGet(url, {
+            headers: existing > 0 ? { Range: `bytes=${existing}-` } : {},
+            timeoutMs: 60 * 1000,
+            onRequest: (req) => { handle.request = req; }
+        });
+    } catch (err) {
+        if (existing === 0 || err.statusCode !== 416) throw err;
 
-    // Normalisasi type - handle jika frontend mengirim format sebagai type atau menggunakan mode
-    const audioFormats = ['mp3', 'm4a', 'wav', 'flac', 'opus'];
-    const videoFormats = ['mp4', 'webm'];
-    
-    let finalType = type || mode; // Support both 'type' and 'mode' field
-    
-    // Jika type adalah format audio, ubah ke 'audio'
-    if (audioFormats.includes(finalType)) {
-        finalType = 'audio';
+        // 416: file .part sudah lengkap (job berhenti saat tagging) kalau
+        // ukurannya sama dengan total di Content-Range, selain itu ulang dari awal
+        const total = parseInt((err.headers['content-range'] || '').split('/')[1], 10);
+        if (total === existing) {
+            if (onProgress) onProgress(existing, existing);
+            return;
+        }
+        fs.unlinkSync(destPath);
+        return downloadHttpFile(url, destPath, { handle, rateLimitKBps, onProgress });
     }
-    // Jika type adalah format video, ubah ke 'video'
-    else if (videoFormats.includes(finalType)) {
-        finalType = 'video';
+    if (handle.killed) {
+        res.destroy();
+        throw new Error('Download dibatalkan');
     }
 
-    // Validasi type setelah normalisasi
-    if (!['video', 'audio'].includes(finalType)) {
-        return res.status(400).json({ error: 'Tipe download tidak valid' });
+    // Server yang tidak mendukung Range mengirim ulang dari awal (200)
+    const resumed = res.statusCode === 206;
+    const offset = resumed ? existing : 0;
+    const total = parseInt(res.headers['content-length'], 10) + offset || null;
+    const file = fs.createWriteStream(destPath, { flags: resumed ? 'a' : 'w' });
+    const startedAt = Date.now();
+    let received = 0;
+
+    try {
+        for await (const chunk of res) {
+            if (!file.write(chunk)) await once(file, 'drain');
+            received += chunk.length;
+            if (onProgress) onProgress(offset + received, total);
+
+            if (rateLimitKBps) {
+                const aheadMs = (received / (rateLimitKBps * 1024)) * 1000 - (Date.now() - startedAt);
+                if (aheadMs > 0) await new Promise(resolve => setTimeout(resolve, aheadMs));
+            }
+        }
+    } finally {
+        file.end();
+        await once(file, 'close');
     }
+    if (handle.killed) throw new Error('Download dibatalkan');
+}
 
-    // Validasi format
-    const validFormats = finalType === 'video' ? videoFormats : audioFormats;
-    if (!validFormats.includes(format)) {
-        return res.status(400).json({ error: 'Format tidak valid' });
+/**
+ * Tulis ulang file audio ke format tujuan dengan tag metadata dan cover art.
+ * Dipakai untuk episode podcast dan track per chapter (range = potongan waktu).
+ * Normalisasi loudness diukur per track (dua pass).
+ */
+async function writeTaggedAudio(downloadId, { inputPath, coverPath, outputPath, format, sourceFormat, normalizeAudio, tags, range }) {
+    const rangeArgs = range ? ['-ss', String(range.start), '-to', String(range.end)] : [];
+    let loudnorm = null;
+    if (normalizeAudio) {
+        const measured = await measureLoudness(downloadId, [...rangeArgs, '-i', inputPath, '-map', '0:a:0', '-af', getLoudnessMeasureFilter()]);
+        loudnorm = getLoudnormFilter(measured, (await probeMedia(inputPath)).audio?.sampleRate);
     }
 
-    // Validasi quality untuk video
-    if (finalType === 'video') {
-        const validQualities = ['360', '480', '720', '1080', '1440', '2160', 'best'];
-        if (!validQualities.includes(quality)) {
-            return res.status(400).json({ error: 'Kualitas tidak valid' });
+    return new Promise((resolve, reject) => {
+        const args = [...rangeArgs, '-i', inputPath];
+        if (coverPath) args.push('-i', coverPath);
+
+        args.push('-map', '0:a');
+        if (coverPath) args.push('-map', '1:v', '-c:v', 'copy', '-disposition:v', 'attached_pic');
+
+        if (loudnorm) {
+            args.push(...AUDIO_CODEC_ARGS[format], '-af', loudnorm);
+        } else {
+            args.push(...(sourceFormat === format ? ['-c:a', 'copy'] : AUDIO_CODEC_ARGS[format]));
         }
-    }
 
-    // Cek playlist merge limit
-    if (merge === true && url.includes('playlist?list=')) {
-        // Akan dicek lagi saat proses download
-    }
+        Object.entries(tags).forEach(([key, value]) => {
+            if (value !== null && value !== undefined && value !== '') args.push('-metadata', `${key}=${value}`);
+        });
+        if (format === 'mp3') args.push('-id3v2_version', '3');
 
-    const downloadId = uuidv4();
-    const sanitizedCustomName = customFilename ? sanitizeFilename(customFilename) : null;
-    
-    log.info(`Request download: ${finalType}/${format} - ${url.substring(0, 50)}...`);
+        args.push('-f', AUDIO_MUXERS[format], '-y', outputPath);
 
-    // Inisialisasi progress
-    updateProgress(downloadId, {
-        status: 'queued',
-        progress: 0,
-        message: 'Menunggu antrian...',
-        type: finalType,
-        format,
-        files: [],
-        canCancel: true,
-        startedAt: Date.now()
+        const ffmpeg = spawn(FFMPEG_PATH, args);
+        const processInfo = activeProcesses.get(downloadId);
+        if (processInfo) processInfo.ffmpegProcess = ffmpeg;
+
+        let stderrTail = '';
+        ffmpeg.stderr.on('data', (data) => {
+            stderrTail = (stderrTail + data.toString()).slice(-1000);
+        });
+        ffmpeg.on('close', (code) => {
+            if (code === 0) return resolve();
+            log.warn(`ffmpeg tag audio: ${stderrTail.trim().split('\n').pop()}`);
+            reject(new Error(range ? 'Gagal memotong chapter' : 'Gagal menulis metadata episode'));
+        });
+        ffmpeg.on('error', (err) => reject(new Error(`FFmpeg error: ${err.message}`)));
     });
+}
 
-    res.json({ downloadId, message: 'Download dimulai' });
+async function downloadPodcast(downloadId, options, workDir) {
+    const { url, format, embedThumbnail, normalizeAudio, customFilename } = options;
 
-    // Tambahkan ke queue FIFO
-    enqueueDownload(downloadId, () => {
-        return processDownload(downloadId, {
-            url: url.trim(),
-            type: finalType,
-            format,
-            quality: quality || 'best',
-            merge: merge === true,
-            embedThumbnail: embedThumbnail !== false,
-            normalizeAudio: normalizeAudio === true,
-            customFilename: sanitizedCustomName,
-            downloadSubtitles: downloadSubtitles === true,
-            subtitleLang: subtitleLang || 'en',
-            highCompatibility: highCompatibility === true
-        });
+    // Pengganti proses yt-dlp: kill() memutus request yang sedang berjalan
+    const handle = {
+        killed: false,
+        request: null,
+        kill() {
+            this.killed = true;
+            if (this.request) this.request.destroy(new Error('Download dibatalkan'));
+        }
+    };
+    const rateLimitKBps = getJobRateLimit(options);
+    const rateNote = rateLimitKBps ? ` (maks ${rateLimitKBps} KB/s)` : '';
+    activeProcesses.set(downloadId, {
+        process: handle,
+        cancelled: false,
+        tempDir: workDir,
+        rateLimitKBps,
+        startedAt: Date.now()
     });
-});
+    const checkCancelled = () => {
+        if (activeProcesses.get(downloadId)?.cancelled) throw new Error('Download dibatalkan');
+    };
 
-// ============================================================
-// ENDPOINT: CANCEL DOWNLOAD
-// ============================================================
+    updateProgress(downloadId, {
+        status: 'downloading_audio',
+        progress: 0,
+        message: 'Mengambil daftar episode...'
+    });
 
-app.post('/api/cancel/:id', (req, res) => {
-    const { id } = req.params;
-    
-    log.info(`Cancel request untuk ${id.slice(0, 8)}`);
-    
-    // Cek di queue
-    if (removeFromQueue(id)) {
-        updateProgress(id, {
-            status: 'cancelled',
-            progress: 0,
-            message: 'Download dibatalkan dari antrian',
-            canCancel: false
-        });
-        log.success(`Download ${id.slice(0, 8)} dibatalkan dari antrian`);
-        return res.json({ success: true, message: 'Download dibatalkan dari antrian' });
+    const feed = await fetchPodcastFeed(url);
+    if (!feed) {
+        throw new Error('Feed podcast tidak valid atau tidak punya episode');
     }
-    
-    // Cek di active processes
-    const processInfo = activeProcesses.get(id);
-    if (processInfo) {
-        try {
-            processInfo.cancelled = true;
-            
-            // Kill semua process (yt-dlp dan ffmpeg)
-            if (processInfo.process && !processInfo.process.killed) {
-                processInfo.process.kill('SIGTERM');
-                // Force kill setelah 5 detik
-                setTimeout(() => {
-                    try {
-                        if (processInfo.process && !processInfo.process.killed) {
-                            processInfo.process.kill('SIGKILL');
-                        }
-                    } catch {}
-                }, 5000);
-            }
-            
-            if (processInfo.ffmpegProcess && !processInfo.ffmpegProcess.killed) {
-                processInfo.ffmpegProcess.kill('SIGTERM');
-            }
-            
-            // Cleanup temp folder
-            if (processInfo.tempDir) {
-                cleanupDir(processInfo.tempDir);
-            }
-            
-            // Clear timeout
-            clearTimeout(downloadTimeouts.get(id));
-            downloadTimeouts.delete(id);
-            
-            updateProgress(id, {
-                status: 'cancelled',
-                progress: 0,
-                message: 'Download dibatalkan',
-                canCancel: false
-            });
-            
-            log.success(`Download ${id.slice(0, 8)} dibatalkan`);
-            return res.json({ success: true, message: 'Download dibatalkan' });
-        } catch (err) {
-            log.error(`Cancel error: ${err.message}`);
-            return res.status(500).json({ error: 'Gagal membatalkan download' });
+    checkCancelled();
+
+    // Urutan mengikuti pilihan user (index dipakai untuk nama file sementara)
+    const skipped = [];
+    const episodes = options.episodes.map((id, index) => {
+        const episode = feed.episodes.find(ep => ep.id === id);
+        if (!episode) skipped.push({ title: id, reason: 'Episode tidak ada lagi di feed' });
+        return episode ? { ...episode, index } : null;
+    }).filter(Boolean);
+
+    const covers = new Map();   // URL gambar -> path file (didownload sekali)
+    const usedNames = new Set(); // Judul episode bisa sama ("Bonus", "Trailer")
+    let lastProgressUpdate = 0;
+
+    for (const [position, episode] of episodes.entries()) {
+        const label = episodes.length > 1 ? ` ${position + 1}/${episodes.length}` : '';
+        const title = sanitizeFilename(customFilename && episodes.length === 1
+            ? customFilename
+            : `${feed.title} - ${episode.episode ? `${episode.episode}. ` : ''}${episode.title}`);
+        // Urutan episode tetap antar percobaan, jadi nama (2), (3), ... juga sama saat resume
+        let baseName = title;
+        for (let n = 2; usedNames.has(baseName.toLowerCase()); n++) {
+            baseName = `${title.substring(0, 140)} (${n})`;
         }
-    }
-    
-    res.status(404).json({ error: 'Download tidak ditemukan' });
-});
+        usedNames.add(baseName.toLowerCase());
+        const outputPath = path.join(workDir, `${baseName}.${format}`);
 
-// ============================================================
-// ENDPOINT: SSE PROGRESS
-// ============================================================
+        // Sudah selesai di percobaan sebelumnya
+        if (fs.existsSync(outputPath)) continue;
 
-app.get('/api/progress/:id', (req, res) => {
-    const { id } = req.params;
+        const sourcePath = path.join(workDir, `episode-${episode.index}.part`);
+        await downloadHttpFile(episode.url, sourcePath, {
+            handle,
+            rateLimitKBps,
+            onProgress: (bytes, total) => {
+                const now = Date.now();
+                if (now - lastProgressUpdate < 500) return;
+                lastProgressUpdate = now;
+                const fraction = total ? Math.min(bytes / total, 1) : 0;
+                updateProgress(downloadId, {
+                    status: 'downloading_audio',
+                    progress: ((position + fraction) / episodes.length) * 80,
+                    message: total
+                        ? `Mengunduh episode${label}: ${(fraction * 100).toFixed(1)}%${rateNote}`
+                        : `Mengunduh episode${label}: ${(bytes / 1024 / 1024).toFixed(1)} MB${rateNote}`
+                });
+            }
+        });
+        checkCancelled();
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.setHeader('X-Accel-Buffering', 'no');
-    res.flushHeaders();
+        // Cover art (gagal download cover tidak menggagalkan episode)
+        let coverPath = null;
+        if (embedThumbnail && episode.image && COVER_ART_FORMATS.includes(format)) {
+            if (!covers.has(episode.image)) {
+                const target = path.join(workDir, `cover-${covers.size}.temp`);
+                try {
+                    await downloadHttpFile(episode.image, target, { handle });
+                    covers.set(episode.image, target);
+                } catch (err) {
+                    checkCancelled();
+                    log.warn(`Cover podcast gagal didownload: ${err.message}`);
+                    covers.set(episode.image, null);
+                }
+            }
+            coverPath = covers.get(episode.image);
+        }
 
-    // Kirim progress awal
-    const currentProgress = downloadProgress.get(id);
-    if (currentProgress) {
-        res.write(`data: ${JSON.stringify(currentProgress)}\n\n`);
-    } else {
-        res.write(`data: ${JSON.stringify({ status: 'unknown', message: 'Download tidak ditemukan' })}\n\n`);
-    }
+        updateProgress(downloadId, {
+            status: 'embedding_metadata',
+            progress: 80 + ((position + 1) / episodes.length) * 15,
+            message: `Menulis metadata episode${label}...`
+        });
 
-    // Register client
-    if (!sseClients.has(id)) {
-        sseClients.set(id, new Set());
+        const tempOutput = `${outputPath}.temp`;
+        await writeTaggedAudio(downloadId, {
+            inputPath: sourcePath,
+            coverPath,
+            outputPath: tempOutput,
+            format,
+            sourceFormat: getEnclosureFormat(episode),
+            normalizeAudio,
+            tags: {
+                title: episode.title,
+                album: feed.title,
+                artist: feed.author || feed.title,
+                album_artist: feed.author || feed.title,
+                date: episode.pubDate ? episode.pubDate.slice(0, 10) : null,
+                track: episode.episode,
+                disc: episode.season,
+                genre: 'Podcast',
+                comment: episode.description
+            }
+        });
+        checkCancelled();
+        fs.renameSync(tempOutput, outputPath);
+        fs.unlinkSync(sourcePath);
     }
-    sseClients.get(id).add(res);
 
-    // Heartbeat untuk keep connection alive
-    const heartbeat = setInterval(() => {
-        try {
-            res.write(': heartbeat\n\n');
-        } catch (err) {
-            clearInterval(heartbeat);
-            cleanupSSEClient(id, res);
-        }
-    }, CONFIG.HEARTBEAT_INTERVAL_MS);
+    // ReplayGain / finalisasi tidak bisa dijeda (lihat /api/jobs/:id/pause)
+    const processInfo = activeProcesses.get(downloadId);
+    if (processInfo) processInfo.postProcessing = true;
+    if (options.replayGain) {
+        await applyReplayGain(downloadId, listAudioFiles(workDir, format), format);
+    }
 
-    // Cleanup saat client disconnect
-    req.on('close', () => {
-        clearInterval(heartbeat);
-        cleanupSSEClient(id, res);
+    updateProgress(downloadId, {
+        status: 'finalizing',
+        progress: 98,
+        message: 'Memfinalisasi file...'
     });
 
-    req.on('error', () => {
-        clearInterval(heartbeat);
-        cleanupSSEClient(id, res);
+    const files = moveWorkFiles(workDir, downloadsDir);
+    updateProgress(downloadId, {
+        status: 'finished',
+        progress: 100,
+        message: 'Download selesai!',
+        files,
+        skipped,
+        canCancel: false
     });
-});
+}
 
 // ============================================================
-// PROSES DOWNLOAD
+// LOUDNESS (EBU R128 / REPLAYGAIN)
 // ============================================================
+// Normalisasi dua pass: pass pertama mengukur loudness (loudnorm print_format=json),
+// pass kedua memakai hasil ukur dalam mode linear sehingga dinamika tidak berubah.
+// ReplayGain hanya menulis tag gain/peak, audio tidak di-encode ulang.
+
+const LOUDNORM_LRA = 11;
+const LOUDNORM_TRUE_PEAK = -1.5;
+const REPLAYGAIN_REFERENCE_LUFS = -18;
+const R128_REFERENCE_LUFS = -23;        // Opus: R128_*_GAIN relatif ke -23 LUFS (Q7.8)
+const REPLAYGAIN_FORMATS = ['mp3', 'm4a', 'flac', 'opus'];
+const DEFAULT_SAMPLE_RATE = 44100;
+
+function getLoudnormBase() {
+    return `loudnorm=I=${CONFIG.LOUDNESS_TARGET_LUFS}:LRA=${LOUDNORM_LRA}:TP=${LOUDNORM_TRUE_PEAK}`;
+}
 
-async function processDownload(downloadId, options) {
-    const { url, type, format, quality, merge, embedThumbnail, normalizeAudio, customFilename, downloadSubtitles, subtitleLang, highCompatibility } = options;
-    const startTime = Date.now();
+/**
+ * Filter pass pertama: hasil ukur dicetak sebagai JSON di stderr
+ */
+function getLoudnessMeasureFilter() {
+    return `${getLoudnormBase()}:print_format=json`;
+}
 
-    // Setup timeout 30 menit
-    const timeoutId = setTimeout(() => {
+/**
+ * Filter pass kedua. Tanpa hasil ukur (mis. track hening) jatuh ke loudnorm satu pass.
+ * loudnorm bekerja di 192 kHz, jadi sample rate dikembalikan ke aslinya.
+ */
+function getLoudnormFilter(measured, sampleRate) {
+    const filter = measured
+        ? `${getLoudnormBase()}:measured_I=${measured.i}:measured_TP=${measured.tp}:measured_LRA=${measured.lra}` +
+          `:measured_thresh=${measured.thresh}:offset=${measured.offset}:linear=true`
+        : getLoudnormBase();
+    return `${filter},aresample=${sampleRate || DEFAULT_SAMPLE_RATE}`;
+}
+
+/**
+ * Jalankan ffmpeg sampai selesai (proses disimpan supaya bisa dicancel)
+ */
+function runFfmpeg(downloadId, args, errorMessage) {
+    return new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG_PATH, args);
         const processInfo = activeProcesses.get(downloadId);
-        if (processInfo && !processInfo.cancelled) {
-            log.warn(`Download ${downloadId.slice(0, 8)} timeout setelah 30 menit`);
-            processInfo.cancelled = true;
-            
-            // Kill process
-            if (processInfo.process && !processInfo.process.killed) {
-                processInfo.process.kill('SIGTERM');
-            }
-            if (processInfo.ffmpegProcess && !processInfo.ffmpegProcess.killed) {
-                processInfo.ffmpegProcess.kill('SIGTERM');
-            }
-            
-            // Cleanup temp
-            if (processInfo.tempDir) {
-                cleanupDir(processInfo.tempDir);
-            }
-            
-            updateProgress(downloadId, {
-                status: 'error',
-                progress: 0,
-                message: 'Download timeout (melebihi 30 menit)',
-                canCancel: false
-            });
-        }
-    }, CONFIG.DOWNLOAD_TIMEOUT_MS);
-    
-    downloadTimeouts.set(downloadId, timeoutId);
+        if (processInfo) processInfo.ffmpegProcess = ffmpeg;
 
-    try {
-        updateProgress(downloadId, {
-            status: 'starting',
-            progress: 0,
-            message: 'Memulai download...',
-            canCancel: true
+        let stderrTail = '';
+        ffmpeg.stderr.on('data', (data) => {
+            stderrTail = (stderrTail + data.toString()).slice(-4000);
+        });
+        ffmpeg.on('close', (code) => {
+            if (activeProcesses.get(downloadId)?.cancelled) return reject(new Error('Download dibatalkan'));
+            if (code === 0) return resolve(stderrTail);
+            log.warn(`ffmpeg: ${stderrTail.trim().split('\n').pop()}`);
+            reject(new Error(errorMessage));
         });
+        ffmpeg.on('error', (err) => reject(new Error(`FFmpeg error: ${err.message}`)));
+    });
+}
 
-        if (type === 'video') {
-            await downloadVideo(downloadId, url, quality, format, embedThumbnail, customFilename, downloadSubtitles, subtitleLang, highCompatibility);
-        } else {
-            await downloadAudio(downloadId, url, format, merge, embedThumbnail, normalizeAudio, customFilename);
-        }
-        
-        // Log durasi download
-        const duration = (Date.now() - startTime) / 1000;
-        log.duration(downloadId, duration);
-        
-    } catch (err) {
-        const processInfo = activeProcesses.get(downloadId);
-        if (!processInfo?.cancelled) {
-            log.error(`Download ${downloadId.slice(0, 8)} error: ${err.message}`);
-            updateProgress(downloadId, {
-                status: 'error',
-                progress: 0,
-                message: err.message || 'Download gagal',
-                canCancel: false
-            });
-        }
-    } finally {
-        clearTimeout(timeoutId);
-        downloadTimeouts.delete(downloadId);
+/**
+ * Pass pertama: args = input + filter yang berakhir di getLoudnessMeasureFilter().
+ * Return { i, tp, lra, thresh, offset } atau null kalau tidak bisa diukur.
+ */
+async function measureLoudness(downloadId, args) {
+    const output = await runFfmpeg(downloadId, ['-hide_banner', ...args, '-f', 'null', '-'], 'Gagal mengukur loudness')
+        .catch(err => {
+            if (activeProcesses.get(downloadId)?.cancelled) throw err;
+            return '';
+        });
+    const json = output.match(/\{[^{}]*"input_i"[^{}]*\}/);
+    if (!json) return null;
+
+    try {
+        const data = JSON.parse(json[0]);
+        const measured = {
+            i: parseFloat(data.input_i),
+            tp: parseFloat(data.input_tp),
+            lra: parseFloat(data.input_lra),
+            thresh: parseFloat(data.input_thresh),
+            offset: parseFloat(data.target_offset)
+        };
+        // Audio hening total terukur -inf
+        return Object.values(measured).every(Number.isFinite) ? measured : null;
+    } catch {
+        return null;
     }
 }
 
-// ============================================================
-// DOWNLOAD VIDEO
-// ============================================================
+/**
+ * Semua file audio hasil job (termasuk subfolder playlist)
+ */
+function listAudioFiles(dir, format) {
+    return fs.readdirSync(dir, { withFileTypes: true })
+        .flatMap(entry => {
+            const fullPath = path.join(dir, entry.name);
+            if (entry.isDirectory()) return listAudioFiles(fullPath, format);
+            return entry.name.endsWith(`.${format}`) ? [fullPath] : [];
+        })
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+}
 
-function downloadVideo(downloadId, url, quality, format, embedThumbnail, customFilename, downloadSubtitles, subtitleLang, highCompatibility) {
-    return new Promise((resolve, reject) => {
+/**
+ * Normalisasi dua pass satu file audio (encode ulang di tempat).
+ * Tag dan cover art ikut disalin.
+ */
+async function normalizeAudioFile(downloadId, filePath, format) {
+    const measured = await measureLoudness(downloadId, ['-i', filePath, '-map', '0:a:0', '-af', getLoudnessMeasureFilter()]);
+    const probe = await probeMedia(filePath);
+    const tempPath = `${filePath}.temp`;
+
+    const args = ['-i', filePath, '-map', '0:a:0', '-map_metadata', '0'];
+    if (COVER_ART_FORMATS.includes(format)) {
+        args.push('-map', '0:v:0?', '-c:v', 'copy', '-disposition:v:0', 'attached_pic');
+    }
+    args.push('-af', getLoudnormFilter(measured, probe.audio?.sampleRate), ...AUDIO_CODEC_ARGS[format]);
+    if (format === 'mp3') args.push('-id3v2_version', '3');
+    args.push('-f', AUDIO_MUXERS[format], '-y', tempPath);
+
+    await runFfmpeg(downloadId, args, 'Gagal menormalisasi audio');
+    fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Tulis tag ReplayGain 2.0 (track + album) tanpa encode ulang.
+ * Album = semua file dalam satu job; loudness album didekati dari rata-rata
+ * energi loudness tiap track (dibobot durasi), peak album = peak tertinggi.
+ */
+async function applyReplayGain(downloadId, files, format) {
+    const tracks = [];
+    for (const [index, file] of files.entries()) {
         updateProgress(downloadId, {
-            status: 'downloading_video',
-            progress: 0,
-            message: highCompatibility ? 'Mengunduh video (High Compatibility)...' : 'Mengunduh video...'
+            status: 'embedding_metadata',
+            progress: 96,
+            message: `Mengukur loudness untuk ReplayGain (${index + 1}/${files.length})...`
         });
+        const measured = await measureLoudness(downloadId, ['-i', file, '-map', '0:a:0', '-af', getLoudnessMeasureFilter()]);
+        if (measured) {
+            const { duration } = await probeMedia(file);
+            tracks.push({ file, loudness: measured.i, peak: Math.pow(10, measured.tp / 20), weight: duration || 1 });
+        }
+    }
+    if (tracks.length === 0) return;
+
+    const totalWeight = tracks.reduce((sum, track) => sum + track.weight, 0);
+    const albumLoudness = 10 * Math.log10(
+        tracks.reduce((sum, track) => sum + track.weight * Math.pow(10, track.loudness / 10), 0) / totalWeight
+    );
+    const albumPeak = Math.max(...tracks.map(track => track.peak));
+    const gain = (reference, loudness) => `${(reference - loudness).toFixed(2)} dB`;
+
+    for (const track of tracks) {
+        const tags = {
+            REPLAYGAIN_TRACK_GAIN: gain(REPLAYGAIN_REFERENCE_LUFS, track.loudness),
+            REPLAYGAIN_TRACK_PEAK: track.peak.toFixed(6),
+            REPLAYGAIN_ALBUM_GAIN: gain(REPLAYGAIN_REFERENCE_LUFS, albumLoudness),
+            REPLAYGAIN_ALBUM_PEAK: albumPeak.toFixed(6)
+        };
+        if (format === 'opus') {
+            tags.R128_TRACK_GAIN = Math.round((R128_REFERENCE_LUFS - track.loudness) * 256);
+            tags.R128_ALBUM_GAIN = Math.round((R128_REFERENCE_LUFS - albumLoudness) * 256);
+        }
 
-        let formatString;
-        const numericQuality = parseInt(quality, 10);
-        
-        if (!isNaN(numericQuality) && numericQuality > 0) {
-            // Dynamic resolution with comprehensive fallback chain
-            formatString = `bestvideo[height<=${numericQuality}]+bestaudio/best[height<=${numericQuality}]/bestvideo+bestaudio/best`;
-        } else {
-            // 'best' or invalid quality - get best available
-            formatString = 'bestvideo+bestaudio/best';
+        const tempPath = `${track.file}.temp`;
+        // Hanya audio + cover (kalau container mendukung); Ogg/Opus menolak stream gambar
+        const args = ['-i', track.file, '-map', '0:a', '-map_metadata', '0'];
+        if (COVER_ART_FORMATS.includes(format)) {
+            args.push('-map', '0:v?', '-disposition:v', 'attached_pic');
         }
+        args.push('-c', 'copy');
+        Object.entries(tags).forEach(([key, value]) => args.push('-metadata', `${key}=${value}`));
+        if (format === 'mp3') args.push('-id3v2_version', '3');
+        if (format === 'm4a') args.push('-movflags', 'use_metadata_tags');
+        args.push('-f', AUDIO_MUXERS[format], '-y', tempPath);
+
+        await runFfmpeg(downloadId, args, 'Gagal menulis tag ReplayGain');
+        fs.renameSync(tempPath, track.file);
+    }
+}
 
-        // Output template
-        const outputName = customFilename 
-            ? `${customFilename}_%(id)s.%(ext)s`
-            : '%(title).100s_%(id)s.%(ext)s';
-        const outputTemplate = path.join(downloadsDir, outputName);
-        
-        const args = [
-            '-f', formatString,
-            '--merge-output-format', format || 'mp4',
-            '-o', outputTemplate,
-            '--newline',
-            '--no-warnings',
-            '--no-playlist',
-            '--add-metadata',
-            '--socket-timeout', '30',
-            '--retries', '5',
-            '--fragment-retries', '5',
-            '--no-check-certificates'
-        ];
+// ============================================================
+// MERGE AUDIO FILES
+// ============================================================
 
-        if (embedThumbnail) {
-            args.push('--embed-thumbnail');
-        }
-        
-        // Subtitle download
-        if (downloadSubtitles) {
-            args.push('--write-subs');
-            args.push('--sub-lang', subtitleLang || 'en');
-            args.push('--convert-subs', 'srt');
-        }
+const MAX_MERGE_GAP_SECONDS = 10;
+const MAX_CROSSFADE_SECONDS = 12;
+const SILENCE_THRESHOLD = '-50dB';
+const SILENCE_MIN_SECONDS = 0.5;
 
-        // High Compatibility Mode - recode to H.264/AAC for universal playback
-        if (highCompatibility) {
-            args.push('--recode-video', 'mp4');
-            args.push('--postprocessor-args', `${FFMPEG_PATH}:-c:v libx264 -preset fast -crf 23 -c:a aac -b:a 192k`);
+/**
+ * Rentang track tanpa hening di awal dan akhir ({ start, end } dalam detik)
+ * dari silencedetect. Null kalau tidak perlu / tidak bisa dipotong.
+ */
+function detectSilenceBounds(filePath, duration) {
+    return new Promise((resolve) => {
+        if (!duration) {
+            resolve(null);
+            return;
         }
 
-        args.push(url);
+        const ffmpeg = spawn(FFMPEG_PATH, [
+            '-hide_banner', '-i', filePath, '-map', '0:a:0',
+            '-af', `silencedetect=noise=${SILENCE_THRESHOLD}:d=${SILENCE_MIN_SECONDS}`,
+            '-f', 'null', '-'
+        ]);
+        const starts = [];
+        const ends = [];
 
-        const ytdlp = spawn(YTDLP_PATH, args);
-        
-        activeProcesses.set(downloadId, { 
-            process: ytdlp, 
-            cancelled: false,
-            tempDir: null,
-            startedAt: Date.now()
+        ffmpeg.stderr.on('data', (data) => {
+            const output = data.toString();
+            for (const match of output.matchAll(/silence_start: (-?[\d.]+)/g)) starts.push(Math.max(0, parseFloat(match[1])));
+            for (const match of output.matchAll(/silence_end: ([\d.]+)/g)) ends.push(parseFloat(match[1]));
         });
+        ffmpeg.on('error', () => resolve(null));
 
-        let lastProgressUpdate = 0;
-
-        ytdlp.stdout.on('data', (data) => {
-            const output = data.toString();
-            const processInfo = activeProcesses.get(downloadId);
-            if (processInfo?.cancelled) return;
-            
-            // Parse progress dengan regex yang lebih akurat (throttled 500ms)
-            const now = Date.now();
-            if (now - lastProgressUpdate > 500) {
-                const progressMatch = output.match(/\[download\]\s+(\d+\.?\d*)%/);
-                if (progressMatch) {
-                    const percent = parseFloat(progressMatch[1]);
-                    updateProgress(downloadId, {
-                        status: 'downloading_video',
-                        progress: Math.min(percent * 0.85, 85),
-                        message: `Mengunduh video: ${percent.toFixed(1)}%`
-                    });
-                    lastProgressUpdate = now;
-                }
+        ffmpeg.on('close', (code) => {
+            if (code !== 0 || starts.length === 0) {
+                resolve(null);
+                return;
             }
 
-            // Status updates
-            if (output.includes('[Merger]') || output.includes('Merging formats')) {
-                updateProgress(downloadId, {
-                    status: 'postprocessing',
-                    progress: 88,
-                    message: 'Menggabungkan video dan audio...'
-                });
+            let start = 0;
+            let end = duration;
+            if (starts[0] <= 0.05 && ends.length > 0) {
+                start = ends[0];
             }
-
-            if (output.includes('[EmbedThumbnail]')) {
-                updateProgress(downloadId, {
-                    status: 'embedding_metadata',
-                    progress: 92,
-                    message: 'Menyematkan thumbnail...'
-                });
+            // Hening terakhir berlangsung sampai akhir file (silence_end tidak
+            // dicetak, atau sama dengan durasi)
+            const lastStart = starts[starts.length - 1];
+            if (lastStart > start && (ends.length < starts.length || ends[ends.length - 1] >= duration - 0.05)) {
+                end = lastStart;
             }
 
-            if (output.includes('[Metadata]') || output.includes('Adding metadata')) {
-                updateProgress(downloadId, {
-                    status: 'embedding_metadata',
-                    progress: 95,
-                    message: 'Menambahkan metadata...'
-                });
-            }
-            
-            if (output.includes('[SubtitlesConvertor]')) {
-                updateProgress(downloadId, {
-                    status: 'postprocessing',
-                    progress: 93,
-                    message: 'Mengkonversi subtitle...'
-                });
-            }
+            // Track yang hampir seluruhnya hening dibiarkan utuh
+            resolve(end - start >= 1 && (start > 0 || end < duration) ? { start, end } : null);
         });
+    });
+}
 
-        ytdlp.stderr.on('data', (data) => {
-            const error = data.toString();
-            if (!error.includes('WARNING')) {
-                log.warn(`yt-dlp: ${error.trim().substring(0, 100)}`);
-            }
-        });
+/**
+ * Filter gabung audio dengan trim hening, jeda atau crossfade antar track.
+ * Semua track disamakan ke stereo dengan sample rate yang sama; loudnorm
+ * (pass ukur atau pass kedua) dipasang di ujung kalau diminta.
+ */
+function buildAudioMergeFilter(probes, bounds, { gapSeconds, crossfadeSeconds, sampleRate, loudnorm }) {
+    const parts = probes.map((probe, i) => {
+        const chain = [];
+        if (bounds[i]) {
+            chain.push(`atrim=start=${bounds[i].start}:end=${bounds[i].end}`, 'asetpts=PTS-STARTPTS');
+        }
+        chain.push(`aresample=${sampleRate}`, 'aformat=sample_fmts=fltp:channel_layouts=stereo');
+        if (gapSeconds > 0 && i < probes.length - 1) {
+            chain.push(`apad=pad_dur=${gapSeconds}`);
+        }
+        return `[${i}:a:0]${chain.join(',')}[a${i}]`;
+    });
 
-        ytdlp.on('close', (code) => {
-            const processInfo = activeProcesses.get(downloadId);
-            if (processInfo?.cancelled) {
-                reject(new Error('Download dibatalkan'));
-                return;
-            }
+    if (crossfadeSeconds > 0) {
+        let previous = 'a0';
+        for (let i = 1; i < probes.length; i++) {
+            parts.push(`[${previous}][a${i}]acrossfade=d=${crossfadeSeconds}[x${i}]`);
+            previous = `x${i}`;
+        }
+        parts.push(`[${previous}]anull[mix]`);
+    } else {
+        parts.push(`${probes.map((_, i) => `[a${i}]`).join('')}concat=n=${probes.length}:v=0:a=1[mix]`);
+    }
 
-            if (code === 0) {
-                // Finalizing stage
-                updateProgress(downloadId, {
-                    status: 'finalizing',
-                    progress: 98,
-                    message: 'Memfinalisasi file...'
-                });
-                
-                const files = getRecentFiles(downloadsDir, `.${format || 'mp4'}`, 5);
-                
-                updateProgress(downloadId, {
-                    status: 'finished',
-                    progress: 100,
-                    message: 'Download selesai!',
-                    files,
-                    canCancel: false
-                });
-                resolve();
-            } else {
-                reject(new Error('Download video gagal'));
-            }
-        });
+    parts.push(loudnorm ? `[mix]${loudnorm}[out]` : '[mix]anull[out]');
+    return parts.join(';');
+}
+
+/**
+ * Timestamp cue sheet: MM:SS:FF (75 frame per detik, menit boleh > 99)
+ */
+function formatCueTime(ms) {
+    const frames = Math.round(ms * 75 / 1000);
+    const minutes = Math.floor(frames / (75 * 60));
+    const seconds = Math.floor(frames / 75) % 60;
+    const pad = (n) => n.toString().padStart(2, '0');
+    return `${pad(minutes)}:${pad(seconds)}:${pad(frames % 75)}`;
+}
+
+/**
+ * Cue sheet (.cue) dan tracklist teks (.txt) di samping file merge.
+ * Return path file yang ditulis.
+ */
+function writeTracklistFiles(mergedFile, chapters, format, cueSheet) {
+    const baseName = mergedFile.slice(0, -path.extname(mergedFile).length);
+    const quote = (value) => `"${String(value).replace(/"/g, "'")}"`;
+    const written = [];
+
+    // Tracklist: "0:00 Judul" per baris, siap ditempel ke deskripsi.
+    // Format jam dipakai untuk semua baris kalau ada track yang mulai >= 1 jam.
+    const withHours = chapters[chapters.length - 1].start >= 3600 * 1000;
+    const pad = (n) => n.toString().padStart(2, '0');
+    const tracklist = chapters.map(chapter => {
+        const total = Math.floor(chapter.start / 1000);
+        const minutes = Math.floor(total / 60);
+        const time = withHours
+            ? `${Math.floor(total / 3600)}:${pad(minutes % 60)}:${pad(total % 60)}`
+            : `${minutes}:${pad(total % 60)}`;
+        return `${time} ${chapter.title}`;
+    });
+    fs.writeFileSync(`${baseName}.txt`, tracklist.join('\n') + '\n');
+    written.push(`${baseName}.txt`);
 
-        ytdlp.on('error', (err) => {
-            reject(new Error(`yt-dlp error: ${err.message}`));
+    if (cueSheet) {
+        const lines = [
+            `TITLE ${quote(path.basename(baseName))}`,
+            `FILE ${quote(path.basename(mergedFile))} ${format === 'mp3' ? 'MP3' : 'WAVE'}`
+        ];
+        chapters.forEach((chapter, index) => {
+            lines.push(
+                `  TRACK ${(index + 1).toString().padStart(2, '0')} AUDIO`,
+                `    TITLE ${quote(chapter.title)}`,
+                `    INDEX 01 ${formatCueTime(chapter.start)}`
+            );
         });
-    });
-}
+        fs.writeFileSync(`${baseName}.cue`, lines.join('\r\n') + '\r\n');
+        written.push(`${baseName}.cue`);
+    }
 
-// ============================================================
-// DOWNLOAD AUDIO
-// ============================================================
+    return written;
+}
 
-function downloadAudio(downloadId, url, format, merge, embedThumbnail, normalizeAudio, customFilename) {
-    return new Promise(async (resolve, reject) => {
-        const sessionId = uuidv4();
-        const sessionTempDir = path.join(tempDir, sessionId);
+/**
+ * Gabungkan audio playlist (urut nomor item) jadi satu file dengan chapter
+ * per track, plus tracklist .txt dan (opsional) cue sheet.
+ * Return daftar file hasil, file audio paling depan.
+ */
+async function mergeAudioFiles(downloadId, inputDir, outputDir, options) {
+    const { format, normalizeAudio, customFilename, cueSheet, trimSilence } = options;
+    const gapSeconds = options.gapSeconds || 0;
+    let crossfadeSeconds = options.crossfadeSeconds || 0;
+    const files = fs.readdirSync(inputDir)
+        .filter(f => f.endsWith(`.${format}`))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(f => path.join(inputDir, f));
+
+    if (files.length === 0) {
+        throw new Error('Tidak ada file audio untuk digabungkan');
+    }
 
-        try {
-            // Cek playlist merge limit
-            if (merge && url.includes('playlist?list=')) {
-                // Ambil info playlist dulu untuk cek jumlah video
-                const countArgs = ['--flat-playlist', '--dump-json', '--no-warnings', url];
-                const countProcess = spawn(YTDLP_PATH, countArgs);
-                let countOutput = '';
-                
-                await new Promise((resolveCount, rejectCount) => {
-                    countProcess.stdout.on('data', (data) => { countOutput += data.toString(); });
-                    countProcess.on('close', (code) => {
-                        if (code === 0) {
-                            const lines = countOutput.trim().split('\n').filter(Boolean);
-                            if (lines.length > CONFIG.MAX_PLAYLIST_MERGE) {
-                                rejectCount(new Error(`Playlist terlalu besar untuk merge (${lines.length} video, max ${CONFIG.MAX_PLAYLIST_MERGE})`));
-                            } else {
-                                resolveCount();
-                            }
-                        } else {
-                            resolveCount(); // Lanjut saja kalau gagal cek
-                        }
-                    });
-                    countProcess.on('error', () => resolveCount());
-                });
-            }
+    if (files.length === 1) {
+        const destFile = path.join(outputDir, path.basename(files[0]));
+        if (normalizeAudio) {
+            await normalizeAudioFile(downloadId, files[0], format);
+        }
+        fs.copyFileSync(files[0], destFile);
+        return [destFile];
+    }
 
-            if (merge) {
-                fs.mkdirSync(sessionTempDir, { recursive: true });
-            }
+    // Durasi tiap track untuk posisi chapter - probe satu per satu
+    const probes = [];
+    for (const file of files) {
+        probes.push(await probeMedia(file));
+    }
 
+    // Trim hening / jeda / crossfade butuh filter_complex, selain itu cukup concat demuxer
+    const shaped = trimSilence || gapSeconds > 0 || crossfadeSeconds > 0;
+    const bounds = [];
+    if (trimSilence) {
+        for (const [index, file] of files.entries()) {
             updateProgress(downloadId, {
-                status: 'downloading_audio',
-                progress: 0,
-                message: 'Mengunduh audio...'
+                status: 'merging_playlist',
+                progress: 95,
+                message: `Mendeteksi hening di awal/akhir track (${index + 1}/${files.length})...`
             });
+            bounds.push(await detectSilenceBounds(file, probes[index].duration));
+        }
+    }
+    const durations = probes.map((probe, i) => bounds[i] ? bounds[i].end - bounds[i].start : probe.duration);
 
-            // Output template
-            const outputName = customFilename 
-                ? `${customFilename}_%(id)s.%(ext)s`
-                : '%(title).100s_%(id)s.%(ext)s';
-            
-            const outputDir = merge ? sessionTempDir : downloadsDir;
-            const outputTemplate = path.join(outputDir, outputName);
-
-            const args = [
-                '-x',
-                '--audio-format', format,
-                '-o', outputTemplate,
-                '--newline',
-                '--no-warnings',
-                '--add-metadata',
-                '--parse-metadata', 'uploader:%(artist)s',
-                '--socket-timeout', '30',
-                '--retries', '5',
-                '--no-check-certificates'
-            ];
-            
-            if (format === 'mp3') {
-                args.push('--audio-quality', '0'); // Best quality (320kbps untuk MP3)
-            }
+    // Crossfade tidak boleh lebih panjang dari setengah track terpendek
+    if (crossfadeSeconds > 0) {
+        crossfadeSeconds = Math.min(crossfadeSeconds, Math.min(...durations) / 2);
+    }
 
-            if (embedThumbnail && !['wav'].includes(format)) {
-                args.push('--embed-thumbnail');
-            }
+    const chapters = getMergeChapters(files, durations, { gapSeconds, crossfadeSeconds });
+    const metadataFile = writeChapterMetadata(inputDir, chapters);
 
-            if (!merge) {
-                args.push('--no-playlist');
-            }
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const outputName = customFilename 
+        ? `${customFilename}_merged.${format}`
+        : `merged_playlist_${timestamp}.${format}`;
+    const outputFile = path.join(outputDir, outputName);
 
-            args.push(url);
+    const inputArgs = [];
+    if (shaped) {
+        inputArgs.push(...files.flatMap(f => ['-i', f]));
+    } else {
+        // Buat file concat list dengan sanitasi path
+        const concatFile = path.join(inputDir, 'concat.txt');
+        const concatContent = files.map(f => `file '${sanitizeConcatPath(f)}'`).join('\n');
+        fs.writeFileSync(concatFile, concatContent);
+        inputArgs.push('-f', 'concat', '-safe', '0', '-i', concatFile);
+    }
 
-            const ytdlp = spawn(YTDLP_PATH, args);
-            
-            activeProcesses.set(downloadId, { 
-                process: ytdlp, 
-                cancelled: false,
-                tempDir: merge ? sessionTempDir : null,
-                startedAt: Date.now()
-            });
+    const sampleRate = Math.max(...probes.map(probe => probe.audio?.sampleRate || 0)) || DEFAULT_SAMPLE_RATE;
+    const mergeFilter = (loudnorm) => buildAudioMergeFilter(probes, bounds, { gapSeconds, crossfadeSeconds, sampleRate, loudnorm });
 
-            let totalVideos = 0;
-            let currentVideo = 0;
-            let lastProgressUpdate = 0;
+    // Normalisasi dua pass: ukur hasil gabungan (dengan trim/jeda/crossfade yang sama) dulu
+    let loudnorm = null;
+    if (normalizeAudio) {
+        updateProgress(downloadId, {
+            status: 'merging_playlist',
+            progress: 95,
+            message: 'Mengukur loudness hasil gabungan...'
+        });
+        const measureArgs = shaped
+            ? [...inputArgs, '-filter_complex', mergeFilter(getLoudnessMeasureFilter()), '-map', '[out]']
+            : [...inputArgs, '-map', '0:a:0', '-af', getLoudnessMeasureFilter()];
+        loudnorm = getLoudnormFilter(await measureLoudness(downloadId, measureArgs), sampleRate);
+    }
 
-            ytdlp.stdout.on('data', (data) => {
-                const output = data.toString();
-                const processInfo = activeProcesses.get(downloadId);
-                if (processInfo?.cancelled) return;
+    const args = [...inputArgs];
+    const metadataIndex = String(shaped ? files.length : 1);
+    args.push('-i', metadataFile, '-map_metadata', metadataIndex);
 
-                // Playlist progress
-                const playlistMatch = output.match(/\[download\] Downloading item (\d+) of (\d+)/);
-                if (playlistMatch) {
-                    currentVideo = parseInt(playlistMatch[1]);
-                    totalVideos = parseInt(playlistMatch[2]);
-                }
+    // WAV tidak punya tempat untuk chapter
+    if (format !== 'wav') {
+        args.push('-map_chapters', metadataIndex);
+    }
 
-                // Download progress dengan regex akurat (throttled)
-                const now = Date.now();
-                if (now - lastProgressUpdate > 500) {
-                    const progressMatch = output.match(/\[download\]\s+(\d+\.?\d*)%/);
-                    if (progressMatch) {
-                        let percent = parseFloat(progressMatch[1]);
-                        
-                        if (totalVideos > 1) {
-                            const baseProgress = ((currentVideo - 1) / totalVideos) * 100;
-                            const videoProgress = (percent / 100) * (100 / totalVideos);
-                            percent = baseProgress + videoProgress;
-                        }
-                        
-                        percent = Math.min(percent * 0.80, 80);
+    if (shaped) {
+        args.push('-filter_complex', mergeFilter(loudnorm), '-map', '[out]');
+        // Cover art track pertama ikut dipasang
+        if (COVER_ART_FORMATS.includes(format)) {
+            args.push('-map', '0:v:0?', '-c:v', 'copy', '-disposition:v:0', 'attached_pic');
+        }
+    } else if (loudnorm) {
+        args.push('-af', loudnorm);
+    }
 
-                        updateProgress(downloadId, {
-                            status: 'downloading_audio',
-                            progress: percent,
-                            message: totalVideos > 1 
-                                ? `Mengunduh ${currentVideo}/${totalVideos}: ${parseFloat(progressMatch[1]).toFixed(1)}%`
-                                : `Mengunduh audio: ${parseFloat(progressMatch[1]).toFixed(1)}%`
-                        });
-                        lastProgressUpdate = now;
-                    }
-                }
+    // Codec berdasarkan format
+    switch (format) {
+        case 'mp3':
+            args.push('-c:a', 'libmp3lame', '-b:a', '320k');
+            break;
+        case 'flac':
+            args.push('-c:a', 'flac');
+            break;
+        case 'wav':
+            args.push('-c:a', 'pcm_s16le');
+            break;
+        case 'opus':
+            args.push('-c:a', 'libopus', '-b:a', '192k');
+            break;
+        default:
+            args.push(...(shaped || loudnorm ? AUDIO_CODEC_ARGS[format] : ['-c:a', 'copy']));
+    }
 
-                // Status updates
-                if (output.includes('[ExtractAudio]')) {
-                    updateProgress(downloadId, {
-                        status: 'converting_audio',
-                        progress: 85,
-                        message: `Mengkonversi ke ${format.toUpperCase()}...`
-                    });
-                }
+    args.push('-y', outputFile);
 
-                if (output.includes('[EmbedThumbnail]')) {
-                    updateProgress(downloadId, {
-                        status: 'embedding_metadata',
-                        progress: 90,
-                        message: 'Menyematkan cover art...'
-                    });
-                }
+    await new Promise((resolve, reject) => {
+        const ffmpeg = spawn(FFMPEG_PATH, args);
+        
+        // Store ffmpeg process untuk cancel
+        const processInfo = activeProcesses.get(downloadId);
+        if (processInfo) {
+            processInfo.ffmpegProcess = ffmpeg;
+        }
 
-                if (output.includes('[Metadata]')) {
-                    updateProgress(downloadId, {
-                        status: 'embedding_metadata',
-                        progress: 93,
-                        message: 'Menambahkan metadata...'
-                    });
-                }
-            });
+        ffmpeg.stderr.on('data', () => {});
 
-            ytdlp.stderr.on('data', (data) => {
-                const error = data.toString();
-                if (!error.includes('WARNING')) {
-                    log.warn(`yt-dlp: ${error.trim().substring(0, 100)}`);
-                }
-            });
+        ffmpeg.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                reject(new Error('Gagal menggabungkan file audio'));
+            }
+        });
 
-            ytdlp.on('close', async (code) => {
-                const processInfo = activeProcesses.get(downloadId);
-                if (processInfo?.cancelled) {
-                    cleanupDir(sessionTempDir);
-                    reject(new Error('Download dibatalkan'));
-                    return;
-                }
+        ffmpeg.on('error', (err) => {
+            reject(new Error(`FFmpeg error: ${err.message}`));
+        });
+    });
 
-                if (code !== 0) {
-                    cleanupDir(sessionTempDir);
-                    reject(new Error('Download audio gagal'));
-                    return;
-                }
+    return [outputFile, ...writeTracklistFiles(outputFile, chapters, format, cueSheet)];
+}
 
-                try {
-                    if (merge) {
-                        updateProgress(downloadId, {
-                            status: 'merging_playlist',
-                            progress: 95,
-                            message: 'Menggabungkan file audio playlist...'
-                        });
+// ============================================================
+// MERGE VIDEO FILES
+// ============================================================
 
-                        const mergedFile = await mergeAudioFiles(downloadId, sessionTempDir, downloadsDir, format, normalizeAudio, customFilename);
-                        cleanupDir(sessionTempDir);
-                        
-                        // Finalizing
-                        updateProgress(downloadId, {
-                            status: 'finalizing',
-                            progress: 98,
-                            message: 'Memfinalisasi file...'
-                        });
+const VIDEO_MERGE_FORMATS = ['mp4', 'mkv'];
+const VIDEO_MERGE_MAX_FPS = 60;
+const VIDEO_MERGE_SAMPLE_RATE = 48000;
 
-                        const stats = fs.statSync(mergedFile);
-                        updateProgress(downloadId, {
-                            status: 'finished',
-                            progress: 100,
-                            message: 'Download dan merge selesai!',
-                            files: [{
-                                name: path.basename(mergedFile),
-                                url: `/downloads/${encodeURIComponent(path.basename(mergedFile))}`,
-                                size: stats.size
-                            }],
-                            canCancel: false
-                        });
-                    } else {
-                        // Finalizing
-                        updateProgress(downloadId, {
-                            status: 'finalizing',
-                            progress: 98,
-                            message: 'Memfinalisasi file...'
-                        });
-                        
-                        const files = getRecentFiles(downloadsDir, `.${format}`, 10);
-                        
-                        updateProgress(downloadId, {
-                            status: 'finished',
-                            progress: 100,
-                            message: 'Download selesai!',
-                            files,
-                            canCancel: false
-                        });
-                    }
-                    resolve();
-                } catch (err) {
-                    cleanupDir(sessionTempDir);
-                    reject(err);
-                }
+/**
+ * Info dasar file media dari output "ffmpeg -i" (tanpa ffprobe):
+ * durasi dalam detik, stream video dan audio pertama
+ */
+function probeMedia(filePath) {
+    return new Promise((resolve) => {
+        const ffmpeg = spawn(FFMPEG_PATH, ['-hide_banner', '-i', filePath]);
+        let output = '';
+
+        ffmpeg.stderr.on('data', (data) => { output += data.toString(); });
+        ffmpeg.on('error', () => resolve({ duration: 0, video: null, audio: null }));
+
+        // Tanpa file output ffmpeg selalu exit 1 - cukup baca stderr
+        ffmpeg.on('close', () => {
+            const duration = output.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+            const video = output.match(/Stream #.*?: Video: (\w+).*?, (\d{2,5})x(\d{2,5})(?:.*?, ([\d.]+) fps)?/);
+            const audio = output.match(/Stream #.*?: Audio: (\w+).*?, (\d+) Hz, ([^,\n]+)/);
+            resolve({
+                duration: duration ? parseInt(duration[1]) * 3600 + parseInt(duration[2]) * 60 + parseFloat(duration[3]) : 0,
+                video: video ? { codec: video[1], width: +video[2], height: +video[3], fps: video[4] ? parseFloat(video[4]) : null } : null,
+                audio: audio ? { codec: audio[1], sampleRate: +audio[2], layout: audio[3].trim() } : null
             });
+        });
+    });
+}
 
-            ytdlp.on('error', (err) => {
-                cleanupDir(sessionTempDir);
-                reject(new Error(`yt-dlp error: ${err.message}`));
-            });
+/**
+ * Stream copy hanya aman kalau codec, resolusi, fps dan layout audio semua file sama
+ */
+function canConcatCopy(probes) {
+    const signature = (probe) => probe.video && probe.audio
+        ? [probe.video.codec, probe.video.width, probe.video.height, probe.video.fps,
+            probe.audio.codec, probe.audio.sampleRate, probe.audio.layout].join('|')
+        : null;
+    const first = signature(probes[0]);
+    return first !== null && probes.every(probe => signature(probe) === first);
+}
 
-        } catch (err) {
-            cleanupDir(sessionTempDir);
-            reject(err);
-        }
+/**
+ * Satu chapter per file merge: { title, start, end } dalam milidetik.
+ * Jeda ikut masuk chapter sebelumnya, crossfade memajukan chapter berikutnya.
+ */
+function getMergeChapters(files, durations, { gapSeconds = 0, crossfadeSeconds = 0 } = {}) {
+    let start = 0;
+    return files.map((file, index) => {
+        const isLast = index === files.length - 1;
+        const length = durations[index] + (isLast ? 0 : gapSeconds - crossfadeSeconds);
+        const end = start + Math.round(length * 1000);
+        // "001 - Judul.mp4" -> "Judul"
+        const title = path.basename(file, path.extname(file)).replace(/^\d+ - /, '');
+        const chapter = { title, start, end };
+        start = end;
+        return chapter;
     });
 }
 
-// ============================================================
-// MERGE AUDIO FILES
-// ============================================================
+/**
+ * File FFMETADATA berisi satu chapter per item playlist
+ */
+function writeChapterMetadata(inputDir, chapters) {
+    const escape = (value) => String(value).replace(/[=;#\\]/g, '\\$&').replace(/[\r\n]+/g, ' ');
+    const lines = [';FFMETADATA1'];
 
-function mergeAudioFiles(downloadId, inputDir, outputDir, format, normalizeAudio, customFilename) {
-    return new Promise((resolve, reject) => {
-        const files = fs.readdirSync(inputDir)
-            .filter(f => f.endsWith(`.${format}`))
-            .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
-            .map(f => path.join(inputDir, f));
+    chapters.forEach(({ title, start, end }) => {
+        lines.push('', '[CHAPTER]', 'TIMEBASE=1/1000', `START=${start}`, `END=${end}`, `title=${escape(title)}`);
+    });
 
-        if (files.length === 0) {
-            reject(new Error('Tidak ada file audio untuk digabungkan'));
-            return;
-        }
+    const metadataFile = path.join(inputDir, 'chapters.txt');
+    fs.writeFileSync(metadataFile, lines.join('\n') + '\n');
+    return metadataFile;
+}
 
-        if (files.length === 1) {
-            const destFile = path.join(outputDir, path.basename(files[0]));
-            fs.copyFileSync(files[0], destFile);
-            resolve(destFile);
-            return;
-        }
+/**
+ * Filter concat yang menyamakan resolusi (letterbox ke resolusi terbesar),
+ * frame rate dan audio (stereo 48 kHz). File tanpa audio diisi hening,
+ * file tanpa video diisi layar hitam.
+ */
+function buildVideoConcatFilter(probes) {
+    const largest = probes
+        .filter(probe => probe.video)
+        .reduce((best, probe) => (!best || probe.video.width * probe.video.height > best.width * best.height) ? probe.video : best, null);
+    const width = Math.max(2, (largest?.width || 1280) - ((largest?.width || 1280) % 2));
+    const height = Math.max(2, (largest?.height || 720) - ((largest?.height || 720) % 2));
+    const fps = Math.min(VIDEO_MERGE_MAX_FPS, Math.max(...probes.map(probe => probe.video?.fps || 0)) || 30);
+
+    const parts = [];
+    const pairs = probes.map((probe, i) => {
+        parts.push(probe.video
+            ? `[${i}:v:0]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+              `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${i}]`
+            : `color=c=black:s=${width}x${height}:r=${fps}:d=${probe.duration},format=yuv420p[v${i}]`);
+        parts.push(probe.audio
+            ? `[${i}:a:0]aresample=${VIDEO_MERGE_SAMPLE_RATE},aformat=sample_fmts=fltp:channel_layouts=stereo[a${i}]`
+            : `anullsrc=channel_layout=stereo:sample_rate=${VIDEO_MERGE_SAMPLE_RATE},atrim=duration=${probe.duration}[a${i}]`);
+        return `[v${i}][a${i}]`;
+    });
+    parts.push(`${pairs.join('')}concat=n=${probes.length}:v=1:a=1[v][a]`);
 
-        // Buat file concat list dengan sanitasi path
-        const concatFile = path.join(inputDir, 'concat.txt');
-        const concatContent = files.map(f => `file '${sanitizeConcatPath(f)}'`).join('\n');
-        fs.writeFileSync(concatFile, concatContent);
+    return parts.join(';');
+}
 
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
-        const outputName = customFilename 
-            ? `${customFilename}_merged.${format}`
-            : `merged_playlist_${timestamp}.${format}`;
-        const outputFile = path.join(outputDir, outputName);
+/**
+ * Gabungkan video playlist (urut nomor item) jadi satu MP4/MKV dengan chapter
+ * di setiap batas item. Tanpa perbedaan format cukup stream copy, selain itu
+ * di-encode ulang ke H.264/AAC.
+ */
+async function mergeVideoFiles(downloadId, inputDir, outputDir, format, customFilename) {
+    const files = fs.readdirSync(inputDir)
+        .filter(f => f.endsWith(`.${format}`))
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .map(f => path.join(inputDir, f));
+
+    if (files.length === 0) {
+        throw new Error('Tidak ada file video untuk digabungkan');
+    }
 
-        const args = [
-            '-f', 'concat',
-            '-safe', '0',
-            '-i', concatFile
-        ];
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+    const outputName = customFilename
+        ? `${customFilename}_merged.${format}`
+        : `merged_playlist_${timestamp}.${format}`;
+    const outputFile = path.join(outputDir, outputName);
 
-        // Codec berdasarkan format
-        switch (format) {
-            case 'mp3':
-                args.push('-c:a', 'libmp3lame', '-b:a', '320k');
-                break;
-            case 'flac':
-                args.push('-c:a', 'flac');
-                break;
-            case 'wav':
-                args.push('-c:a', 'pcm_s16le');
-                break;
-            case 'opus':
-                args.push('-c:a', 'libopus', '-b:a', '192k');
-                break;
-            default:
-                args.push('-c:a', 'copy');
-        }
+    if (files.length === 1) {
+        fs.copyFileSync(files[0], outputFile);
+        return outputFile;
+    }
 
-        // Normalisasi audio (loudnorm)
-        if (normalizeAudio && format !== 'flac') {
-            args.push('-af', 'loudnorm=I=-16:LRA=11:TP=-1.5');
-        }
+    // Probe satu per satu - ffmpeg paralel terlalu berat untuk playlist besar
+    const probes = [];
+    for (const file of files) {
+        probes.push(await probeMedia(file));
+    }
+    const totalDuration = probes.reduce((sum, probe) => sum + probe.duration, 0);
+    const metadataFile = writeChapterMetadata(inputDir, getMergeChapters(files, probes.map(probe => probe.duration)));
+    const copy = canConcatCopy(probes);
+
+    let args;
+    if (copy) {
+        const concatFile = path.join(inputDir, 'concat.txt');
+        fs.writeFileSync(concatFile, files.map(f => `file '${sanitizeConcatPath(f)}'`).join('\n'));
+        args = [
+            '-f', 'concat', '-safe', '0', '-i', concatFile,
+            '-i', metadataFile,
+            '-map', '0:v:0', '-map', '0:a:0',
+            '-map_metadata', '1', '-map_chapters', '1',
+            '-c', 'copy'
+        ];
+    } else {
+        args = [
+            ...files.flatMap(f => ['-i', f]),
+            '-i', metadataFile,
+            '-filter_complex', buildVideoConcatFilter(probes),
+            '-map', '[v]', '-map', '[a]',
+            '-map_metadata', String(files.length), '-map_chapters', String(files.length),
+            '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+            '-c:a', 'aac', '-b:a', '192k'
+        ];
+    }
+    if (format === 'mp4') {
+        args.push('-movflags', '+faststart');
+    }
+    args.push('-y', outputFile);
 
-        args.push('-y', outputFile);
+    log.info(`Merge ${files.length} video (${copy ? 'stream copy' : 'encode ulang'}) untuk ${downloadId.slice(0, 8)}`);
 
+    await new Promise((resolve, reject) => {
         const ffmpeg = spawn(FFMPEG_PATH, args);
-        
+
         // Store ffmpeg process untuk cancel
         const processInfo = activeProcesses.get(downloadId);
         if (processInfo) {
             processInfo.ffmpegProcess = ffmpeg;
         }
 
-        ffmpeg.stderr.on('data', () => {});
+        let lastUpdate = 0;
+        let stderrTail = '';
+        ffmpeg.stderr.on('data', (data) => {
+            const output = data.toString();
+            stderrTail = (stderrTail + output).slice(-1000);
+
+            const timeMatch = output.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+            const now = Date.now();
+            if (timeMatch && totalDuration > 0 && now - lastUpdate > 1000) {
+                const done = parseInt(timeMatch[1]) * 3600 + parseInt(timeMatch[2]) * 60 + parseFloat(timeMatch[3]);
+                const ratio = Math.min(1, done / totalDuration);
+                updateProgress(downloadId, {
+                    status: 'merging_playlist',
+                    progress: 88 + ratio * 9,
+                    message: `Menggabungkan video playlist... ${Math.round(ratio * 100)}%`
+                });
+                lastUpdate = now;
+            }
+        });
 
         ffmpeg.on('close', (code) => {
             if (code === 0) {
-                resolve(outputFile);
+                resolve();
             } else {
-                reject(new Error('Gagal menggabungkan file audio'));
+                log.warn(`ffmpeg merge video: ${stderrTail.trim().split('\n').pop()}`);
+                reject(new Error('Gagal menggabungkan file video'));
             }
         });
 
@@ -1499,36 +4719,151 @@ function mergeAudioFiles(downloadId, inputDir, outputDir, format, normalizeAudio
             reject(new Error(`FFmpeg error: ${err.message}`));
         });
     });
+
+    return outputFile;
+}
+
+// ============================================================
+// SPLIT CHAPTERS
+// ============================================================
+
+const CHAPTER_SOURCE_NAME = 'chapter-source';
+const MAX_SPLIT_CHAPTERS = 500;
+
+/**
+ * Potong audio hasil download jadi satu track per chapter terpilih:
+ * "<judul video>/NN - <judul chapter>.<ext>" dengan nomor track, album
+ * (judul video), artist (uploader) dan cover yang sama untuk semua track.
+ * Video tanpa chapter disimpan utuh sebagai satu track.
+ * Return folder berisi hasil, untuk dipindah dengan moveWorkFiles.
+ */
+async function splitAudioChapters(downloadId, workDir, options) {
+    const { format, normalizeAudio, customFilename } = options;
+    const sourcePath = path.join(workDir, `${CHAPTER_SOURCE_NAME}.${format}`);
+    const coverPath = path.join(workDir, `${CHAPTER_SOURCE_NAME}.jpg`);
+    if (!fs.existsSync(sourcePath)) {
+        throw new Error('File audio sumber tidak ditemukan');
+    }
+
+    let info = {};
+    try {
+        info = JSON.parse(fs.readFileSync(path.join(workDir, `${CHAPTER_SOURCE_NAME}.info.json`), 'utf8'));
+    } catch (err) {
+        log.warn(`Info chapter tidak terbaca: ${err.message}`);
+    }
+
+    const allChapters = (info.chapters || []).slice(0, MAX_SPLIT_CHAPTERS).map((chapter, i) => ({
+        number: i + 1,
+        title: chapter.title || `Chapter ${i + 1}`,
+        start: chapter.start_time,
+        end: chapter.end_time
+    }));
+    if (allChapters.length === 0) {
+        allChapters.push({ number: 1, title: info.title || 'Track 1', start: null, end: null });
+    }
+    const selected = options.chapters
+        ? allChapters.filter(chapter => options.chapters.includes(chapter.number))
+        : allChapters;
+    if (selected.length === 0) {
+        throw new Error('Chapter yang dipilih tidak ada di video ini');
+    }
+
+    const album = info.title || options.title || 'Unknown';
+    const artist = info.uploader || info.channel || null;
+    const outputRoot = path.join(workDir, 'chapters');
+    const outputDir = path.join(outputRoot, customFilename || sanitizeFilename(album));
+    fs.mkdirSync(outputDir, { recursive: true });
+    const digits = Math.max(2, String(allChapters.length).length);
+
+    for (const [i, chapter] of selected.entries()) {
+        if (activeProcesses.get(downloadId)?.cancelled) {
+            throw new Error('Download dibatalkan');
+        }
+        updateProgress(downloadId, {
+            status: 'postprocessing',
+            progress: 85 + (i / selected.length) * 12,
+            message: `Memotong chapter ${i + 1}/${selected.length}: ${chapter.title}`
+        });
+
+        const number = String(chapter.number).padStart(digits, '0');
+        await writeTaggedAudio(downloadId, {
+            inputPath: sourcePath,
+            coverPath: fs.existsSync(coverPath) ? coverPath : null,
+            outputPath: path.join(outputDir, `${sanitizeFilename(`${number} - ${chapter.title}`)}.${format}`),
+            format,
+            sourceFormat: format,
+            normalizeAudio,
+            range: chapter.end ? { start: chapter.start, end: chapter.end } : null,
+            tags: {
+                title: chapter.title,
+                album,
+                artist,
+                album_artist: artist,
+                track: `${chapter.number}/${allChapters.length}`,
+                date: info.upload_date?.slice(0, 4)
+            }
+        });
+    }
+
+    return outputRoot;
 }
 
 // ============================================================
 // HELPER FUNCTIONS
 // ============================================================
 
-function getRecentFiles(dir, extension, limit) {
+/**
+ * Working folder per job (temp/<downloadId>)
+ */
+function getJobWorkDir(downloadId) {
+    return path.join(tempDir, downloadId);
+}
+
+/**
+ * Memindahkan file hasil dari working folder ke folder tujuan.
+ * File parsial (.part, .ytdl, fragment) dan file bantu diabaikan.
+ * Subfolder (playlist video) ikut dipindah, nama file jadi "folder/file".
+ */
+function moveWorkFiles(workDir, destDir, prefix = '') {
+    const files = [];
+    
+    fs.readdirSync(workDir).sort((a, b) => a.localeCompare(b, undefined, { numeric: true })).forEach(name => {
+        if (/\.(part|ytdl|temp)$/i.test(name) || name.includes('.part-Frag') || name === 'concat.txt') {
+            return;
+        }
+        
+        const srcPath = path.join(workDir, name);
+        const destPath = path.join(destDir, name);
+        const stats = fs.statSync(srcPath);
+        if (!isPathSafe(destPath, destDir)) return;
+        
+        if (stats.isDirectory()) {
+            fs.mkdirSync(destPath, { recursive: true });
+            files.push(...moveWorkFiles(srcPath, destPath, `${prefix}${name}/`));
+            return;
+        }
+        if (!stats.isFile()) return;
+        
+        moveFile(srcPath, destPath);
+        files.push({
+            name: `${prefix}${name}`,
+            url: `/downloads/${`${prefix}${name}`.split('/').map(encodeURIComponent).join('/')}`,
+            size: stats.size,
+            extension: path.extname(name).slice(1).toLowerCase()
+        });
+    });
+    
+    return files;
+}
+
+function moveFile(srcPath, destPath) {
     try {
-        return fs.readdirSync(dir)
-            .filter(f => f.toLowerCase().endsWith(extension.toLowerCase()))
-            .map(f => {
-                const filePath = path.join(dir, f);
-                try {
-                    const stats = fs.statSync(filePath);
-                    return {
-                        name: f,
-                        url: `/downloads/${encodeURIComponent(f)}`,
-                        size: stats.size,
-                        mtime: stats.mtimeMs,
-                        extension: path.extname(f).slice(1).toLowerCase()
-                    };
-                } catch {
-                    return null;
-                }
-            })
-            .filter(Boolean)
-            .sort((a, b) => b.mtime - a.mtime)
-            .slice(0, limit);
+        fs.renameSync(srcPath, destPath);
     } catch (err) {
-        return [];
+        // Beda device/partisi - fallback copy lalu hapus
+        if (err.code !== 'EXDEV') throw err;
+        fs.copyFileSync(srcPath, destPath);
+        fs.unlinkSync(srcPath);
     }
 }
 
@@ -1538,15 +4873,14 @@ function getRecentFiles(dir, extension, limit) {
 
 app.get('/api/files', (req, res) => {
     try {
-        const files = fs.readdirSync(downloadsDir)
-            .filter(f => !f.startsWith('.') && !fs.statSync(path.join(downloadsDir, f)).isDirectory())
+        const files = listDownloadFiles()
             .map(f => {
                 const filePath = path.join(downloadsDir, f);
                 try {
                     const stats = fs.statSync(filePath);
                     return {
                         name: f,
-                        url: `/downloads/${encodeURIComponent(f)}`,
+                        url: `/downloads/${f.split('/').map(encodeURIComponent).join('/')}`,
                         size: stats.size,
                         date: stats.mtime,
                         extension: path.extname(f).slice(1).toLowerCase()
@@ -1581,6 +4915,8 @@ app.delete('/api/files/:filename', (req, res) => {
 
         if (fs.existsSync(filePath) && fs.statSync(filePath).isFile()) {
             fs.unlinkSync(filePath);
+            removeEmptyPlaylistDir(path.dirname(filePath));
+            removeFromArchive(filename);
             log.info(`File dihapus: ${filename}`);
             res.json({ success: true, message: 'File berhasil dihapus' });
         } else {
@@ -1597,12 +4933,490 @@ app.delete('/api/files/:filename', (req, res) => {
 // ============================================================
 
 app.get('/api/queue', (req, res) => {
+    const running = Array.from(runningJobs).map(id => {
+        const options = jobStore.get(id)?.options || {};
+        const { url, title, type, format, quality } = options;
+        const progress = downloadProgress.get(id) || {};
+        return {
+            downloadId: id,
+            platform: url ? getJobPlatform(options) : null,
+            url,
+            title: title || null,
+            type,
+            format,
+            quality,
+            status: progress.status,
+            progress: progress.progress || 0,
+            message: progress.message
+        };
+    });
+
     res.json({
         activeDownloads,
         maxConcurrent: CONFIG.MAX_CONCURRENT_DOWNLOADS,
         queueLength: downloadQueue.length,
-        queuedIds: downloadQueue.map(item => item.downloadId)
+        queuedIds: downloadQueue.map(item => item.downloadId),
+        running,
+        items: downloadQueue.map(describeQueueItem),
+        scheduled: Array.from(scheduledJobs.values())
+            .sort((a, b) => a.startAt - b.startAt)
+            .map(describeScheduledItem),
+        platformLimits: { default: CONFIG.MAX_PER_PLATFORM, ...CONFIG.PLATFORM_LIMITS }
+    });
+});
+
+// Pindahkan job ke depan / belakang / posisi tertentu (1-based)
+app.post('/api/queue/:id/move', (req, res) => {
+    const { id } = req.params;
+    const { position } = req.body || {};
+
+    let toIndex;
+    if (position === 'front') {
+        toIndex = 0;
+    } else if (position === 'back') {
+        toIndex = downloadQueue.length;
+    } else if (Number.isInteger(position) && position >= 1) {
+        toIndex = position - 1;
+    } else {
+        return res.status(400).json({ error: 'Posisi tidak valid (front, back, atau angka >= 1)' });
+    }
+
+    if (!moveInQueue(id, toIndex)) {
+        return res.status(404).json({ error: 'Download tidak ada di antrian' });
+    }
+
+    log.info(`Download ${id.slice(0, 8)} dipindah ke posisi ${position}`);
+    res.json({ success: true, items: downloadQueue.map(describeQueueItem) });
+});
+
+// Susun ulang seluruh antrian (drag & drop)
+app.put('/api/queue/order', (req, res) => {
+    const { order } = req.body || {};
+
+    if (!Array.isArray(order) || order.some(id => typeof id !== 'string')) {
+        return res.status(400).json({ error: 'Urutan antrian tidak valid' });
+    }
+
+    reorderQueue(order);
+    res.json({ success: true, items: downloadQueue.map(describeQueueItem) });
+});
+
+// Ubah jadwal / prioritas job yang masih menunggu.
+// startAt: null = mulai sekarang, timestamp = (jadwalkan ulang) nanti.
+app.patch('/api/queue/:id', (req, res) => {
+    const { id } = req.params;
+    const { startAt, priority } = req.body || {};
+    const scheduled = scheduledJobs.get(id);
+    const queued = downloadQueue.find(item => item.downloadId === id);
+
+    if (!scheduled && !queued) {
+        return res.status(404).json({ error: 'Download tidak ada di antrian' });
+    }
+    if (priority !== undefined && PRIORITY_RANK[priority] === undefined) {
+        return res.status(400).json({ error: 'Prioritas tidak valid (high, normal, low)' });
+    }
+
+    let newStartAt = null;
+    if (startAt !== undefined && startAt !== null) {
+        newStartAt = parseStartAt(startAt);
+        const startError = validateStartAt(newStartAt);
+        if (startError) {
+            return res.status(400).json({ error: startError });
+        }
+    }
+
+    const { options } = jobStore.get(id);
+    if (priority !== undefined) {
+        options.priority = priority;
+    }
+
+    if (scheduled) {
+        if (startAt === null) {
+            unscheduleDownload(id);
+            enqueueDownload(id, options);
+        } else {
+            scheduleDownload(id, options, newStartAt || scheduled.startAt);
+        }
+    } else if (newStartAt || priority !== undefined) {
+        // Keluar dari antrian lalu dijadwalkan / disisipkan ulang sesuai prioritas
+        removeFromQueue(id);
+        if (newStartAt) {
+            scheduleDownload(id, options, newStartAt);
+        } else {
+            enqueueDownload(id, options);
+        }
+    }
+
+    saveJobStore();
+    log.info(`Download ${id.slice(0, 8)} diperbarui${newStartAt ? ` (mulai ${new Date(newStartAt).toISOString()})` : ''}`);
+    res.json({ success: true, downloadId: id, progress: downloadProgress.get(id) });
+});
+
+// Batalkan job yang masih menunggu (antrian atau terjadwal)
+app.delete('/api/queue/:id', (req, res) => {
+    const { id } = req.params;
+
+    if (!removeFromQueue(id) && !unscheduleDownload(id)) {
+        return res.status(404).json({ error: 'Download tidak ada di antrian' });
+    }
+
+    updateProgress(id, {
+        status: 'cancelled',
+        progress: 0,
+        message: 'Download dibatalkan dari antrian',
+        canCancel: false
+    });
+    log.success(`Download ${id.slice(0, 8)} dibatalkan dari antrian`);
+    res.json({ success: true, message: 'Download dibatalkan dari antrian' });
+});
+
+// ============================================================
+// ENDPOINT: JOBS
+// ============================================================
+
+app.get('/api/jobs', (req, res) => {
+    const jobs = Array.from(jobStore.values())
+        .map(job => ({
+            ...job,
+            progress: downloadProgress.get(job.downloadId) || null
+        }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+
+    res.json({ jobs, count: jobs.length });
+});
+
+app.post('/api/jobs/:id/pause', (req, res) => {
+    const { id } = req.params;
+
+    // Job masih di antrian / terjadwal - cukup dikeluarkan dari antrian
+    if (removeFromQueue(id) || unscheduleDownload(id)) {
+        updateProgress(id, {
+            status: 'paused',
+            message: 'Download dijeda',
+            canCancel: true,
+            resumable: true
+        });
+        saveJobStore();
+        log.info(`Download ${id.slice(0, 8)} dijeda (dari antrian)`);
+        return res.json({ success: true, message: 'Download dijeda' });
+    }
+
+    const processInfo = activeProcesses.get(id);
+    if (!processInfo || (processInfo.cancelled && !processInfo.restart)) {
+        return res.status(409).json({ error: 'Download tidak sedang berjalan' });
+    }
+
+    // Membunuh ffmpeg saat merge / finalisasi meninggalkan file terpotong di folder downloads
+    if (processInfo.postProcessing) {
+        return res.status(409).json({ error: 'Download sedang diproses, tidak bisa dijeda' });
+    }
+
+    // Hentikan proses tanpa menghapus working folder - slot antrian
+    // otomatis dibebaskan saat task selesai di processQueue
+    processInfo.cancelled = true;
+    processInfo.restart = false;
+    processInfo.paused = true;
+
+    if (processInfo.process && !processInfo.process.killed) {
+        processInfo.process.kill('SIGTERM');
+    }
+    if (processInfo.ffmpegProcess && !processInfo.ffmpegProcess.killed) {
+        processInfo.ffmpegProcess.kill('SIGTERM');
+    }
+
+    clearTimeout(downloadTimeouts.get(id));
+    downloadTimeouts.delete(id);
+
+    updateProgress(id, {
+        status: 'paused',
+        message: 'Download dijeda',
+        canCancel: true,
+        resumable: true
+    });
+
+    log.info(`Download ${id.slice(0, 8)} dijeda`);
+    res.json({ success: true, message: 'Download dijeda' });
+});
+
+app.post('/api/jobs/:id/resume', (req, res) => {
+    const { id } = req.params;
+    const job = jobStore.get(id);
+    const progress = downloadProgress.get(id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job tidak ditemukan' });
+    }
+    if (!progress?.resumable) {
+        return res.status(409).json({ error: 'Job tidak bisa dilanjutkan' });
+    }
+    if (runningJobs.has(id)) {
+        return res.status(409).json({ error: 'Proses sebelumnya masih berhenti, coba lagi sebentar' });
+    }
+
+    // Batalkan cleanup progress yang mungkin sudah terjadwal
+    clearTimeout(progressCleanupTimers.get(id));
+    progressCleanupTimers.delete(id);
+
+    // Resume manual memulai hitungan retry dari awal
+    job.attempt = 1;
+
+    log.info(`Resume download ${id.slice(0, 8)}`);
+    updateProgress(id, {
+        status: 'queued',
+        progress: 0,
+        message: 'Melanjutkan download...',
+        canCancel: true,
+        resumable: false
+    });
+    enqueueDownload(id, job.options);
+
+    res.json({ success: true, downloadId: id, message: 'Download dilanjutkan' });
+});
+
+// ============================================================
+// ENDPOINT: HISTORY
+// ============================================================
+
+app.get('/api/history', (req, res) => {
+    const { status, type, platform, q } = req.query;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+    const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+
+    if (status && !FINAL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Status tidak valid (${FINAL_STATUSES.join(', ')})` });
+    }
+    if (type && !['video', 'audio'].includes(type)) {
+        return res.status(400).json({ error: 'Tipe tidak valid (video, audio)' });
+    }
+
+    res.json(queryHistory({
+        page,
+        limit,
+        status,
+        type,
+        platform: normalizePlatform(platform),
+        q: typeof q === 'string' ? q.trim().substring(0, 200) : null
+    }));
+});
+
+// Jalankan ulang job lama dengan opsi yang sama (job baru)
+app.post('/api/history/:id/rerun', downloadLimiter, (req, res) => {
+    const entry = historyEntries.find(item => item.downloadId === req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'History tidak ditemukan' });
+    }
+
+    // Opsi lama divalidasi ulang (setting / format bisa sudah tidak berlaku)
+    // dan dicek duplikat seperti /api/download
+    const { options, status, error, downloadId: existingId } = buildDownloadOptions({ ...entry.options, forceDownload: false });
+    if (error) {
+        return res.status(status).json(existingId ? { error, downloadId: existingId } : { error });
+    }
+
+    // Re-run berarti memang ingin download lagi - abaikan arsip
+    const downloadId = createDownloadJob({ ...options, forceDownload: true });
+    log.info(`Re-run ${entry.downloadId.slice(0, 8)} sebagai ${downloadId.slice(0, 8)}`);
+    res.json({ downloadId, message: 'Download dimulai' });
+});
+
+// Antrikan ulang hanya item playlist yang gagal (job baru, tanpa merge -
+// hasil merge yang lama sudah jadi, track susulan disimpan terpisah)
+app.post('/api/history/:id/retry-failed', downloadLimiter, (req, res) => {
+    const entry = historyEntries.find(item => item.downloadId === req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'History tidak ditemukan' });
+    }
+    if (!entry.failedItems?.length) {
+        return res.status(409).json({ error: 'Tidak ada item yang gagal' });
+    }
+
+    // Divalidasi ulang seperti rerun; merge: false membuang opsi khusus merge
+    const { options, status, error } = buildDownloadOptions({
+        ...entry.options,
+        playlistItems: entry.failedItems.map(item => item.index),
+        merge: false,
+        forceDownload: false
+    });
+    if (error) {
+        return res.status(status).json({ error });
+    }
+
+    // Item yang sama (atau seluruh playlist) masih di antrian / berjalan
+    const existingJob = findActiveJobByUrl(options.url, options.type, options.playlistItems);
+    if (existingJob) {
+        return res.status(409).json({ error: 'Item ini sudah ada di antrian', downloadId: existingJob.downloadId });
+    }
+
+    const downloadId = createDownloadJob({ ...options, forceDownload: true });
+    log.info(`Retry ${entry.failedItems.length} item gagal dari ${entry.downloadId.slice(0, 8)} sebagai ${downloadId.slice(0, 8)}`);
+    res.json({ downloadId, message: `${entry.failedItems.length} item diantrikan ulang` });
+});
+
+// ============================================================
+// ENDPOINT: SUBSCRIPTIONS
+// ============================================================
+
+app.get('/api/subscriptions', (req, res) => {
+    res.json({
+        subscriptions: Array.from(subscriptions.values()).map(describeSubscription),
+        checkIntervalMs: CONFIG.SUBSCRIPTION_CHECK_INTERVAL_MS
+    });
+});
+
+app.post('/api/subscriptions', (req, res) => {
+    const { url, name, includeExisting } = req.body || {};
+
+    if (!isValidUrl(url)) {
+        return res.status(400).json({ error: 'URL tidak valid' });
+    }
+    const cleanUrl = normalizeUrl(url);
+    if (Array.from(subscriptions.values()).some(sub => sub.url === cleanUrl)) {
+        return res.status(409).json({ error: 'URL ini sudah di-subscribe' });
+    }
+
+    // Validasi preset dengan aturan yang sama seperti /api/download
+    const preset = pickSubscriptionPreset(req.body);
+    const { error } = buildDownloadOptions({ ...preset, url: cleanUrl, forceDownload: true });
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const sub = {
+        id: uuidv4(),
+        url: cleanUrl,
+        name: typeof name === 'string' && name.trim() ? name.trim().substring(0, 100) : cleanUrl,
+        preset,
+        enabled: true,
+        includeExisting: includeExisting === true,
+        seenIds: [],
+        createdAt: Date.now(),
+        lastCheckedAt: null,
+        lastNewAt: null,
+        lastNewCount: 0,
+        lastError: null
+    };
+    subscriptions.set(sub.id, sub);
+    saveSubscriptions();
+    log.info(`Subscription baru: ${sub.name}`);
+
+    // Pengecekan pertama langsung di background
+    checkSubscription(sub).catch(() => {});
+    res.status(201).json(describeSubscription(sub));
+});
+
+app.patch('/api/subscriptions/:id', (req, res) => {
+    const sub = subscriptions.get(req.params.id);
+    if (!sub) {
+        return res.status(404).json({ error: 'Subscription tidak ditemukan' });
+    }
+
+    const { name, enabled } = req.body || {};
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return res.status(400).json({ error: 'enabled harus boolean' });
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: 'Nama tidak boleh kosong' });
+    }
+
+    const presetChanges = pickSubscriptionPreset(req.body);
+    const preset = { ...sub.preset, ...presetChanges };
+    if (Object.keys(presetChanges).length > 0) {
+        const { error } = buildDownloadOptions({ ...preset, url: sub.url, forceDownload: true });
+        if (error) {
+            return res.status(400).json({ error });
+        }
+    }
+
+    sub.preset = preset;
+    if (name !== undefined) sub.name = name.trim().substring(0, 100);
+    if (enabled !== undefined) sub.enabled = enabled;
+    saveSubscriptions();
+    res.json(describeSubscription(sub));
+});
+
+app.delete('/api/subscriptions/:id', (req, res) => {
+    const sub = subscriptions.get(req.params.id);
+    if (!sub) {
+        return res.status(404).json({ error: 'Subscription tidak ditemukan' });
+    }
+
+    // Job yang sudah diantrikan tetap berjalan
+    subscriptions.delete(sub.id);
+    saveSubscriptions();
+    log.info(`Subscription dihapus: ${sub.name}`);
+    res.json({ message: 'Subscription dihapus' });
+});
+
+// Cek sekarang tanpa menunggu interval
+app.post('/api/subscriptions/:id/check', infoLimiter, async (req, res) => {
+    const sub = subscriptions.get(req.params.id);
+    if (!sub) {
+        return res.status(404).json({ error: 'Subscription tidak ditemukan' });
+    }
+    if (checkingSubscriptions.has(sub.id)) {
+        return res.status(409).json({ error: 'Subscription sedang dicek' });
+    }
+
+    try {
+        const { queued, downloadIds } = await checkSubscription(sub);
+        res.json({
+            queued,
+            downloadIds,
+            message: queued > 0 ? `${queued} item baru diantrikan` : 'Tidak ada item baru',
+            subscription: describeSubscription(sub)
+        });
+    } catch (err) {
+        res.status(502).json({ error: `Gagal mengecek subscription: ${err.message}` });
+    }
+});
+
+// ============================================================
+// ENDPOINT: SETTINGS
+// ============================================================
+
+app.get('/api/settings', (req, res) => {
+    res.json({
+        settings: getEditableSettings(),
+        defaults: Object.keys(SETTINGS_SCHEMA).reduce((acc, key) => {
+            acc[key] = DEFAULT_CONFIG[key];
+            return acc;
+        }, {}),
+        schema: SETTINGS_SCHEMA,
+        locked: Object.keys(envSettings)
+    });
+});
+
+app.put('/api/settings', (req, res) => {
+    const changes = req.body;
+
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ error: 'Format settings tidak valid' });
+    }
+
+    const errors = {};
+    Object.entries(changes).forEach(([key, value]) => {
+        if (envSettings[key] !== undefined) {
+            errors[key] = `Diatur lewat environment variable UNIVIDOWN_${key}`;
+            return;
+        }
+        if (value === null && SETTINGS_SCHEMA[key]) return;
+        const error = validateSetting(key, value);
+        if (error) errors[key] = error;
     });
+
+    if (Object.keys(errors).length > 0) {
+        return res.status(400).json({ error: 'Settings tidak valid', errors });
+    }
+
+    try {
+        updateSettings(changes);
+    } catch (err) {
+        log.error(`Simpan settings error: ${err.message}`);
+        return res.status(500).json({ error: 'Gagal menyimpan settings' });
+    }
+
+    log.success(`Settings diperbarui: ${Object.keys(changes).join(', ')}`);
+    res.json({ success: true, settings: getEditableSettings() });
 });
 
 // ============================================================
@@ -1637,7 +5451,7 @@ app.get('/api/status', (req, res) => {
 function gracefulShutdown(signal) {
     log.info(`${signal} received. Shutting down gracefully...`);
     
-    // Kill all active processes
+    // Kill all active processes (working folder disimpan untuk resume)
     activeProcesses.forEach((info, id) => {
         if (info.process && !info.process.killed) {
             info.process.kill('SIGTERM');
@@ -1645,11 +5459,12 @@ function gracefulShutdown(signal) {
         if (info.ffmpegProcess && !info.ffmpegProcess.killed) {
             info.ffmpegProcess.kill('SIGTERM');
         }
-        if (info.tempDir) {
-            cleanupDir(info.tempDir);
-        }
     });
     
+    // Simpan job store - job aktif akan dipulihkan sebagai 'interrupted'
+    saveJobStore();
+    saveHistory();
+    
     // Clear all timeouts
     downloadTimeouts.forEach((timeout) => clearTimeout(timeout));
     progressCleanupTimers.forEach((timer) => clearTimeout(timer));
@@ -1672,6 +5487,17 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 // START SERVER
 // ============================================================
 
+// Pulihkan antrian, job, history, arsip dan subscription dari sesi sebelumnya
+loadHistory();
+loadDownloadArchive();
+loadJobStore();
+loadSubscriptions();
+
+// Jalankan cleanup saat server start (working folder job tersimpan dilewati)
+cleanupStaleJobs();
+cleanupTempFiles();
+cleanupOldDownloads();
+
 const server = app.listen(PORT, () => {
     console.log(`
 ╔═══════════════════════════════════════════════════════════════════╗